@@ -0,0 +1,176 @@
+// =============================================================================
+// Admin API
+// =============================================================================
+// Served by the hub proxy under /_admin. Everything except the status page
+// itself requires an admin credential (MCP_API_KEY, or a tokens.json client
+// with "admin": true).
+//
+//   GET  /_admin/                          HTML status page
+//   GET  /_admin/servers                   Live state of every server
+//   GET  /_admin/servers/<name>            One server
+//   POST /_admin/servers/<name>/start      Start a stopped or failed server
+//   POST /_admin/servers/<name>/stop       Stop it (no respawn)
+//   POST /_admin/servers/<name>/restart    Stop, then start again
+//   POST /_admin/servers/<name>/reset      Close the circuit breaker on a dead
+//                                          server and start it again
+//   GET  /_admin/servers/<name>/logs?lines=100   Recent output (text/plain)
+// =============================================================================
+
+import { sendJson } from './proxy.js';
+
+export const ADMIN_PREFIX = '/_admin';
+
+export class AdminError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AdminError';
+    this.status = status;
+  }
+}
+
+const ACTIONS = new Set(['start', 'stop', 'restart', 'reset']);
+const MAX_LOG_LINES = 1000;
+
+/**
+ * Create the admin request handler.
+ *
+ * @param {object} controller
+ * @param {() => object[]} controller.status
+ * @param {(name: string) => Promise<object>} controller.start
+ * @param {(name: string) => Promise<object>} controller.stop
+ * @param {(name: string) => Promise<object>} controller.restart
+ * @param {(name: string) => Promise<object>} controller.reset
+ * @param {(name: string, lines: number) => string} controller.logs
+ */
+export function createAdmin(controller) {
+  function findServer(name) {
+    const entry = controller.status().find(s => s.name === name);
+    if (!entry) throw new AdminError(404, `Unknown server: ${name}`);
+    return entry;
+  }
+
+  async function route(req, res, subPath, search) {
+    const parts = subPath.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (parts.length === 0) {
+      if (req.method !== 'GET') throw new AdminError(405, 'Method not allowed');
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(STATUS_PAGE);
+      return;
+    }
+    // No hubClient means auth is disabled for the whole hub
+    if (req.hubClient && !req.hubClient.admin) throw new AdminError(403, 'Admin credential required');
+    if (parts[0] !== 'servers') throw new AdminError(404, `Unknown admin path: ${subPath}`);
+
+    const [, name, action] = parts;
+    if (!name) {
+      if (req.method !== 'GET') throw new AdminError(405, 'Method not allowed');
+      sendJson(res, 200, { servers: controller.status() });
+      return;
+    }
+
+    findServer(name);
+    if (!action) {
+      if (req.method !== 'GET') throw new AdminError(405, 'Method not allowed');
+      sendJson(res, 200, findServer(name));
+      return;
+    }
+    if (action === 'logs') {
+      if (req.method !== 'GET') throw new AdminError(405, 'Method not allowed');
+      const requested = parseInt(new URLSearchParams(search).get('lines') || '100', 10);
+      const lines = Math.min(Math.max(requested || 100, 1), MAX_LOG_LINES);
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(controller.logs(name, lines));
+      return;
+    }
+    if (ACTIONS.has(action)) {
+      if (req.method !== 'POST') throw new AdminError(405, 'Use POST');
+      sendJson(res, 200, await controller[action](name));
+      return;
+    }
+    throw new AdminError(404, `Unknown action: ${action}`);
+  }
+
+  return {
+    async handle(req, res, subPath, search) {
+      try {
+        await route(req, res, subPath, search);
+      } catch (err) {
+        sendJson(res, err instanceof AdminError ? err.status : 500, { error: err.message });
+      }
+    },
+  };
+}
+
+const STATUS_PAGE = `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>MCP Hub</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; }
+  th { background: #f4f4f4; }
+  .ready { color: #080; } .starting, .respawning, .degraded, .idle { color: #b80; }
+  .failed, .dead { color: #c00; } .stopped, .unconfigured, .disabled { color: #888; }
+  pre { background: #111; color: #ddd; padding: 1em; max-height: 30em; overflow: auto; }
+  button { margin-right: 4px; }
+</style>
+</head>
+<body>
+<h1>MCP Hub</h1>
+<p id="summary">Loading…</p>
+<table>
+  <thead><tr><th>Server</th><th>State</th><th>PID</th><th>Port</th><th>Uptime</th><th>Tools</th><th>Restarts</th><th>Last exit</th><th></th></tr></thead>
+  <tbody id="rows"></tbody>
+</table>
+<h2 id="log-title"></h2>
+<pre id="log" hidden></pre>
+<script>
+const token = sessionStorage.getItem('mcpHubToken') || prompt('Admin token');
+if (token) sessionStorage.setItem('mcpHubToken', token);
+const api = (path, opts = {}) => fetch('${ADMIN_PREFIX}' + path, {
+  ...opts, headers: { Authorization: 'Bearer ' + token },
+}).then(async r => {
+  if (r.status === 401 || r.status === 403) sessionStorage.removeItem('mcpHubToken');
+  if (!r.ok) throw new Error((await r.json()).error);
+  return r.headers.get('content-type').startsWith('application/json') ? r.json() : r.text();
+});
+const esc = s => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+const fmtUptime = s => s == null ? '' : s < 120 ? s + 's' : s < 7200 ? Math.round(s / 60) + 'm' : Math.round(s / 3600) + 'h';
+async function refresh() {
+  try {
+    const { servers } = await api('/servers');
+    const up = servers.filter(s => s.state === 'ready').length;
+    document.getElementById('summary').textContent = up + ' of ' + servers.length + ' servers ready';
+    document.getElementById('rows').innerHTML = servers.map(s => '<tr>' +
+      '<td>' + esc(s.name) + '</td>' +
+      '<td class="' + esc(s.state) + '">' + esc(s.state) + (s.error ? ' — ' + esc(s.error) : '') + '</td>' +
+      '<td>' + esc(s.pid) + '</td><td>' + esc(s.port) + '</td>' +
+      '<td>' + fmtUptime(s.uptime) + '</td><td>' + esc(s.tools) + '</td><td>' + esc(s.restarts) + '</td>' +
+      '<td>' + (s.lastExit ? esc(s.lastExit.signal || s.lastExit.code) : '') + '</td>' +
+      '<td>' + ['start', 'stop', 'restart'].concat(s.state === 'dead' ? ['reset'] : []).map(a =>
+        '<button onclick="act(\\'' + esc(s.name) + '\\', \\'' + a + '\\')">' + a + '</button>').join('') +
+      '<button onclick="logs(\\'' + esc(s.name) + '\\')">logs</button></td></tr>').join('');
+  } catch (err) {
+    document.getElementById('summary').textContent = 'Error: ' + err.message;
+  }
+}
+async function act(name, action) {
+  try { await api('/servers/' + encodeURIComponent(name) + '/' + action, { method: 'POST' }); }
+  catch (err) { alert(err.message); }
+  refresh();
+}
+async function logs(name) {
+  const pre = document.getElementById('log');
+  document.getElementById('log-title').textContent = name + ' output';
+  pre.hidden = false;
+  pre.textContent = await api('/servers/' + encodeURIComponent(name) + '/logs?lines=200').catch(e => e.message) || '(empty)';
+}
+refresh();
+setInterval(refresh, 5000);
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,329 @@
+// =============================================================================
+// Aggregated MCP Endpoint
+// =============================================================================
+// Serves one MCP endpoint (/mcp on the hub port) exposing the union of every
+// running child's tools, resources and prompts. Names are namespaced as
+// <server>__<name> so entries from different servers cannot collide, and
+// calls are forwarded to the owning child. An authenticated caller only sees
+// the servers its token allows, and each server's tool policy (policy.js)
+// applies as it does on /<server>/mcp.
+//
+// Resource URIs are rewritten to mcp-hub://<server>/<encoded-uri> for the same
+// reason. Resource templates keep their original uriTemplate; reads of URIs
+// that don't carry the hub prefix are matched against each child's templates.
+//
+// Lazy (idle) servers are woken for calls, but a list refresh reuses their
+// last known entries instead of starting every idle server again.
+// =============================================================================
+
+import { mcpRequest, McpError } from './mcp-client.js';
+import { readBody, sendJson } from './proxy.js';
+import { toolPolicy, confirmedTools } from './policy.js';
+import { RateLimitError } from './ratelimit.js';
+
+export const NAMESPACE_SEP = '__';
+const HUB_SCHEME = 'mcp-hub://';
+const PROTOCOL_VERSION = '2025-03-26';
+const LIST_CONCURRENCY = 8;
+const MAX_PAGES = 20;
+
+// How each list method maps onto the child's response and our namespacing
+const LISTS = {
+  'tools/list': { key: 'tools', rename: (s, t) => ({ ...t, name: s + NAMESPACE_SEP + t.name }) },
+  'prompts/list': { key: 'prompts', rename: (s, p) => ({ ...p, name: s + NAMESPACE_SEP + p.name }) },
+  'resources/list': {
+    key: 'resources',
+    rename: (s, r) => ({ ...r, name: s + NAMESPACE_SEP + r.name, uri: toHubUri(s, r.uri) }),
+  },
+  'resources/templates/list': {
+    key: 'resourceTemplates',
+    rename: (s, r) => ({ ...r, name: s + NAMESPACE_SEP + r.name }),
+  },
+};
+
+function toHubUri(server, uri) {
+  return `${HUB_SCHEME}${encodeURIComponent(server)}/${encodeURIComponent(uri)}`;
+}
+
+function fromHubUri(uri) {
+  if (!uri.startsWith(HUB_SCHEME)) return null;
+  const rest = uri.slice(HUB_SCHEME.length);
+  const slash = rest.indexOf('/');
+  if (slash === -1) return null;
+  return { server: decodeURIComponent(rest.slice(0, slash)), uri: decodeURIComponent(rest.slice(slash + 1)) };
+}
+
+// RFC 6570 level-1 match: each {var} matches one or more non-slash characters
+function templateMatches(template, uri) {
+  const pattern = template
+    .split(/\{[^}]+\}/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+');
+  return new RegExp(`^${pattern}$`).test(uri);
+}
+
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Create the aggregated endpoint.
+ *
+ * @param {object} opts
+ * @param {Map<string, {port: number}>} opts.routes  Live name → child mapping
+ * @param {number} [opts.ttl]  How long merged lists are cached (ms)
+ * @param {{observe: Function}} [opts.metrics]  Records calls forwarded to children
+ * @param {{record: Function}} [opts.audit]  Audit log for calls forwarded to children
+ * @param {{acquire: Function}} [opts.limiter]  Rate limits and in-flight caps
+ *   for calls forwarded to children
+ * @param {(failure: {server: string, method: string, error: string}) => void} [opts.onListError]
+ *   Told when a child's entries are left out of a merged list
+ */
+export function createAggregator({ routes, ttl = 300000, metrics, audit, limiter, onListError }) {
+  // method → { at, byServer: Map<server, items[]> }
+  const cache = new Map();
+
+  // Run fn(port) against a child, waking it first if it is lazy
+  async function withChild(name, fn) {
+    const target = routes.get(name);
+    const release = target.acquire ? await target.acquire() : null;
+    try {
+      return await fn(target.port);
+    } finally {
+      if (release) release();
+    }
+  }
+
+  // Collect every page of one list method from one child
+  async function listChild(port, method, key) {
+    const items = [];
+    let cursor;
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const result = await mcpRequest(port, method, cursor ? { cursor } : undefined);
+      items.push(...(result[key] || []));
+      cursor = result.nextCursor;
+      if (!cursor) break;
+    }
+    return items;
+  }
+
+  async function collect(method) {
+    const cached = cache.get(method);
+    if (cached && Date.now() - cached.at < ttl) return cached.byServer;
+
+    const { key } = LISTS[method];
+    const entries = [...routes.entries()];
+    const byServer = new Map();
+    await mapLimit(entries, LIST_CONCURRENCY, async ([name, target]) => {
+      if (target.acquire && !target.active() && cached?.byServer.has(name)) {
+        byServer.set(name, cached.byServer.get(name));
+        return;
+      }
+      try {
+        const items = await withChild(name, port => listChild(port, method, key));
+        if (method === 'tools/list') metrics?.listed(name, items.map(t => t?.name));
+        byServer.set(name, items);
+      } catch (err) {
+        // Method not found just means the child lacks that capability
+        if (err.code !== -32601) {
+          onListError?.({ server: name, method, error: err.message });
+        }
+      }
+    });
+    cache.set(method, { at: Date.now(), byServer });
+    return byServer;
+  }
+
+  // Servers that are running and that this caller may reach
+  const visible = (client, server) => routes.has(server) && (!client || client.allows(server));
+
+  async function mergedList(method, client) {
+    const { key, rename } = LISTS[method];
+    const byServer = await collect(method);
+    const merged = [];
+    for (const [server, items] of [...byServer.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+      if (!visible(client, server)) continue;
+      const policy = method === 'tools/list' ? toolPolicy(routes.get(server).server) : null;
+      for (const item of items) {
+        if (!policy || policy.visible(item.name)) merged.push(rename(server, item));
+      }
+    }
+    return { [key]: merged };
+  }
+
+  // "github__create_issue" → { server: 'github', name: 'create_issue' }
+  function splitName(qualified, client) {
+    const idx = qualified ? qualified.indexOf(NAMESPACE_SEP) : -1;
+    if (idx === -1) return null;
+    const server = qualified.slice(0, idx);
+    if (!visible(client, server)) return null;
+    return { server, name: qualified.slice(idx + NAMESPACE_SEP.length) };
+  }
+
+  async function resolveResource(uri, client) {
+    const hub = fromHubUri(uri || '');
+    if (hub && visible(client, hub.server)) return hub;
+    const templates = await collect('resources/templates/list');
+    for (const [server, items] of templates) {
+      if (visible(client, server) && items.some(t => templateMatches(t.uriTemplate, uri))) {
+        return { server, uri };
+      }
+    }
+    return null;
+  }
+
+  // caller: { client, remote, id, confirmed } of the request being answered
+  async function forward(server, method, params, caller) {
+    const start = performance.now();
+    let outcome = 'error';
+    let reply;
+    let unlimit = null;
+    try {
+      if (limiter) unlimit = await limiter.acquire({ server: routes.get(server).server, client: caller.client });
+      // No deadline, as on /<server>/mcp: a tool call may legitimately run long
+      const result = await withChild(server, port => mcpRequest(port, method, params, { timeout: null }));
+      outcome = 'ok';
+      reply = { result };
+      return result;
+    } catch (err) {
+      reply = { error: { code: err.code, message: err.message } };
+      if (err instanceof RateLimitError) throw new McpError(err.message, err.code, { retryAfter: err.retryAfter });
+      throw err;
+    } finally {
+      if (unlimit) unlimit();
+      audit?.record({
+        client: caller.client?.name ?? 'anonymous',
+        remote: caller.remote,
+        server,
+        via: 'aggregate',
+        request: { method, id: caller.id, params },
+        reply,
+        durationMs: performance.now() - start,
+      });
+      metrics?.observe({
+        server,
+        method,
+        tool: method === 'tools/call' ? params.name : '',
+        outcome,
+      }, (performance.now() - start) / 1000);
+    }
+  }
+
+  async function dispatch(method, params = {}, caller) {
+    const { client } = caller;
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: params.protocolVersion || PROTOCOL_VERSION,
+          capabilities: { tools: {}, resources: {}, prompts: {} },
+          serverInfo: { name: 'mcp-supergateway-hub', version: '1.0.0' },
+        };
+      case 'ping':
+        return {};
+      case 'tools/list':
+      case 'prompts/list':
+      case 'resources/list':
+      case 'resources/templates/list':
+        return mergedList(method, client);
+      case 'tools/call':
+      case 'prompts/get': {
+        const target = splitName(params.name, client);
+        if (!target) throw new McpError(`Unknown ${method === 'tools/call' ? 'tool' : 'prompt'}: ${params.name}`, -32602);
+        if (method === 'tools/call') {
+          // X-MCP-Confirm may name the tool with or without its namespace
+          const confirmed = new Set([...caller.confirmed].map(n => (n === params.name ? target.name : n)));
+          const blocked = toolPolicy(routes.get(target.server).server).check(target.name, confirmed);
+          if (blocked) {
+            audit?.record({
+              client: caller.client?.name ?? 'anonymous',
+              remote: caller.remote,
+              server: target.server,
+              via: 'aggregate',
+              request: { method, id: caller.id, params: { ...params, name: target.name } },
+              reply: { error: blocked },
+              durationMs: 0,
+            });
+            throw new McpError(blocked.message, blocked.code, blocked.data);
+          }
+        }
+        return forward(target.server, method, { ...params, name: target.name }, caller);
+      }
+      case 'resources/read': {
+        const target = await resolveResource(params.uri, client);
+        if (!target) throw new McpError(`Unknown resource: ${params.uri}`, -32602);
+        const result = await forward(target.server, method, { ...params, uri: target.uri }, caller);
+        if (fromHubUri(params.uri || '')) {
+          result.contents = (result.contents || []).map(c => ({ ...c, uri: toHubUri(target.server, c.uri) }));
+        }
+        return result;
+      }
+      default:
+        throw new McpError(`Method not found: ${method}`, -32601);
+    }
+  }
+
+  async function handleMessage(msg, req) {
+    if (!msg || msg.jsonrpc !== '2.0' || typeof msg.method !== 'string') {
+      return { jsonrpc: '2.0', id: msg?.id ?? null, error: { code: -32600, message: 'Invalid Request' } };
+    }
+    // Notifications get no response
+    if (msg.id === undefined) return null;
+    try {
+      const caller = { client: req.hubClient, remote: req.hubRemote, id: msg.id, confirmed: confirmedTools(req) };
+      return { jsonrpc: '2.0', id: msg.id, result: await dispatch(msg.method, msg.params, caller) };
+    } catch (err) {
+      const error = { code: err.code || -32603, message: err.message };
+      if (err.data !== undefined) error.data = err.data;
+      return { jsonrpc: '2.0', id: msg.id, error };
+    }
+  }
+
+  async function handle(req, res) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { jsonrpc: '2.0', error: { code: -32000, message: 'Method not allowed.' }, id: null });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch {
+      sendJson(res, 400, { jsonrpc: '2.0', error: { code: -32700, message: 'Parse error' }, id: null });
+      return;
+    }
+
+    const batch = Array.isArray(body);
+    const replies = (await Promise.all((batch ? body : [body]).map(m => handleMessage(m, req)))).filter(Boolean);
+    if (replies.length === 0) {
+      res.writeHead(202).end();
+      return;
+    }
+    sendJson(res, 200, batch ? replies : replies[0]);
+  }
+
+  return {
+    handle,
+
+    /**
+     * Expire the merged lists, so the next one sees a route change. Idle lazy
+     * servers keep their last known entries unless named.
+     *
+     * @param {string} [name]  Server whose entries to drop
+     */
+    invalidate(name) {
+      for (const cached of cache.values()) {
+        cached.at = 0;
+        if (name) cached.byServer.delete(name);
+      }
+    },
+  };
+}
@@ -0,0 +1,154 @@
+// =============================================================================
+// Hub Authentication
+// =============================================================================
+// Bearer-token auth for every hub endpoint. Two kinds of credential:
+//
+//   MCP_API_KEY           Master key, allowed to reach every server.
+//   tokens.json clients   Named tokens, each with an allowlist of servers:
+//
+//     {
+//       "clients": {
+//         "laptop": { "token": "…", "servers": ["github", "git", "memory"] },
+//         "ci":     { "token": "…", "servers": ["*"], "revoked": true },
+//         "ops":    { "token": "…", "servers": ["*"], "admin": true },
+//         "agent":  { "token": "…", "servers": ["*"], "rateLimit": { "perMinute": 60 } }
+//       }
+//     }
+//
+// The tokens file is re-read whenever its mtime changes, so adding, editing or
+// revoking a client (set "revoked": true or delete it) takes effect on the
+// next request without restarting the hub. "admin": true grants access to the
+// /_admin API; "rateLimit" caps the client's request rate (see ratelimit.js).
+// =============================================================================
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { readFileSync, statSync } from 'fs';
+import { validateRateLimit } from './ratelimit.js';
+
+// The value shipped in .env.template is public, so it never counts as a key
+const PLACEHOLDER_KEY = 'change-me-to-a-random-string';
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+function tokenEquals(a, b) {
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function validateClients(raw, path) {
+  const clients = raw?.clients;
+  if (!clients || typeof clients !== 'object' || Array.isArray(clients)) {
+    throw new Error(`${path}: expected a top-level "clients" object`);
+  }
+  const out = [];
+  for (const [name, c] of Object.entries(clients)) {
+    if (typeof c?.token !== 'string' || c.token.length < 16) {
+      throw new Error(`${path}: client "${name}" needs a "token" of at least 16 characters`);
+    }
+    if (!Array.isArray(c.servers)) {
+      throw new Error(`${path}: client "${name}" needs a "servers" array (use ["*"] for all)`);
+    }
+    if (c.rateLimit !== undefined) {
+      const problems = c.rateLimit && typeof c.rateLimit === 'object'
+        ? validateRateLimit(c.rateLimit, `${path}: client "${name}"`)
+        : [`${path}: client "${name}" "rateLimit" must be an object`];
+      if (problems.length) throw new Error(problems[0]);
+    }
+    out.push({
+      name,
+      token: c.token,
+      servers: new Set(c.servers),
+      revoked: c.revoked === true,
+      admin: c.admin === true,
+      rateLimit: c.rateLimit ?? null,
+    });
+  }
+  return out;
+}
+
+/**
+ * Create the hub's authenticator.
+ *
+ * @param {object} opts
+ * @param {string} [opts.apiKey]      Master key (MCP_API_KEY)
+ * @param {string} [opts.tokensFile]  Path to the per-client tokens file
+ */
+export function createAuth({ apiKey, tokensFile }) {
+  const masterKey = apiKey && apiKey !== PLACEHOLDER_KEY ? apiKey : null;
+  let clients = [];
+  let loadedMtime = null;
+
+  function reloadIfChanged() {
+    if (!tokensFile) return;
+    let mtime;
+    try {
+      mtime = statSync(tokensFile).mtimeMs;
+    } catch {
+      if (loadedMtime !== null) console.error(`[AUTH] ${tokensFile} removed, client tokens cleared`);
+      clients = [];
+      loadedMtime = null;
+      return;
+    }
+    if (mtime === loadedMtime) return;
+    try {
+      clients = validateClients(JSON.parse(readFileSync(tokensFile, 'utf-8')), tokensFile);
+      if (loadedMtime !== null) console.log(`[AUTH] Reloaded ${clients.length} client token(s) from ${tokensFile}`);
+    } catch (err) {
+      // Keep serving with the previous set rather than locking everyone out
+      console.error(`[AUTH] Ignoring invalid tokens file: ${err.message}`);
+    }
+    loadedMtime = mtime;
+  }
+
+  reloadIfChanged();
+
+  /**
+   * Identify the caller. Returns { name, admin, rateLimit, allows(server) }
+   * or null when the request carries no valid, unrevoked token.
+   */
+  function authenticate(req) {
+    const token = bearerToken(req);
+    if (!token) return null;
+    if (masterKey && tokenEquals(token, masterKey)) {
+      return { name: 'admin', admin: true, allows: () => true };
+    }
+    reloadIfChanged();
+    const client = clients.find(c => tokenEquals(token, c.token));
+    if (!client || client.revoked) return null;
+    return {
+      name: client.name,
+      admin: client.admin,
+      rateLimit: client.rateLimit,
+      allows: (server) => client.servers.has('*') || client.servers.has(server),
+    };
+  }
+
+  // Token and allowlist for --generate --client <name>
+  function clientCredentials(name) {
+    reloadIfChanged();
+    const client = clients.find(c => c.name === name);
+    if (!client) throw new Error(`Unknown client "${name}" in ${tokensFile}`);
+    if (client.revoked) throw new Error(`Client "${name}" is revoked`);
+    return {
+      token: client.token,
+      allows: (server) => client.servers.has('*') || client.servers.has(server),
+    };
+  }
+
+  return {
+    authenticate,
+    clientCredentials,
+    masterKey,
+    get enabled() {
+      reloadIfChanged();
+      return Boolean(masterKey || clients.length);
+    },
+  };
+}
@@ -0,0 +1,194 @@
+// =============================================================================
+// Client Configs
+// =============================================================================
+// Connection settings for MCP clients, one entry per hub server:
+//
+//   claude-code     .claude.json mcpServers block ("type": "http")
+//   claude-cli      `claude mcp add --transport http …` commands
+//   claude-desktop  claude_desktop_config.json; Desktop only runs stdio
+//                   servers, so each entry bridges through mcp-remote
+//   cursor          ~/.cursor/mcp.json
+//   vscode          .vscode/mcp.json ("servers", "type": "http")
+//   continue        .continue/mcpServers/mcp-hub.yaml block
+//
+// `node index.js --generate --format <name>` prints one; the hub also serves
+// them at /_clients/<format>, built with the caller's own token and only the
+// servers that token may reach. Servers exposed only over SSE get their /sse
+// URL and each client's SSE transport setting.
+// =============================================================================
+
+import { sendJson } from './proxy.js';
+
+const json = (value) => JSON.stringify(value, null, 2) + '\n';
+
+// POSIX shell single-quoting
+const shellQuote = (s) => (/^[\w@%+=:,./-]+$/.test(s) ? s : `'${s.replace(/'/g, `'\\''`)}'`);
+
+// mcp-remote refuses plain http except to localhost unless told otherwise
+const isRemoteHttp = (url) => {
+  const { protocol, hostname } = new URL(url);
+  return protocol === 'http:' && !['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+};
+
+/**
+ * Renderers take [{name, url, transport}] (transport: http or sse) and the
+ * bearer token (null when auth is off) and return the file contents.
+ */
+export const FORMATS = {
+  'claude-code': {
+    file: '.claude.json',
+    contentType: 'application/json',
+    render: (entries, token) => json({
+      mcpServers: Object.fromEntries(entries.map(({ name, url, transport }) => [name, {
+        type: transport,
+        url,
+        ...(token ? { headers: { Authorization: `Bearer ${token}` } } : {}),
+      }])),
+    }),
+  },
+
+  'claude-cli': {
+    file: 'add-mcp-servers.sh',
+    contentType: 'text/x-shellscript; charset=utf-8',
+    render: (entries, token) => ['#!/bin/sh', ...entries.map(({ name, url, transport }) =>
+      ['claude', 'mcp', 'add', '--transport', transport, name, url,
+        ...(token ? ['--header', `Authorization: Bearer ${token}`] : [])].map(shellQuote).join(' ')),
+    ].join('\n') + '\n',
+  },
+
+  'claude-desktop': {
+    file: 'claude_desktop_config.json',
+    contentType: 'application/json',
+    // The token goes through env: Desktop mangles spaces in args on Windows
+    render: (entries, token) => json({
+      mcpServers: Object.fromEntries(entries.map(({ name, url, transport }) => [name, {
+        command: 'npx',
+        args: [
+          '-y', 'mcp-remote', url,
+          ...(isRemoteHttp(url) ? ['--allow-http'] : []),
+          ...(transport === 'sse' ? ['--transport', 'sse-only'] : []),
+          ...(token ? ['--header', 'Authorization:${MCP_HUB_AUTH}'] : []),
+        ],
+        ...(token ? { env: { MCP_HUB_AUTH: `Bearer ${token}` } } : {}),
+      }])),
+    }),
+  },
+
+  cursor: {
+    file: 'mcp.json',
+    contentType: 'application/json',
+    render: (entries, token) => json({
+      mcpServers: Object.fromEntries(entries.map(({ name, url }) => [name, {
+        url,
+        ...(token ? { headers: { Authorization: `Bearer ${token}` } } : {}),
+      }])),
+    }),
+  },
+
+  vscode: {
+    file: 'mcp.json',
+    contentType: 'application/json',
+    render: (entries, token) => json({
+      servers: Object.fromEntries(entries.map(({ name, url, transport }) => [name, {
+        type: transport,
+        url,
+        ...(token ? { headers: { Authorization: `Bearer ${token}` } } : {}),
+      }])),
+    }),
+  },
+
+  continue: {
+    file: 'mcp-hub.yaml',
+    contentType: 'application/yaml; charset=utf-8',
+    // JSON strings are valid YAML scalars, so no quoting rules to get wrong
+    render: (entries, token) => [
+      'name: MCP Hub',
+      'version: 0.0.1',
+      'schema: v1',
+      'mcpServers:',
+      ...entries.flatMap(({ name, url, transport }) => [
+        `  - name: ${JSON.stringify(name)}`,
+        `    type: ${transport === 'sse' ? 'sse' : 'streamable-http'}`,
+        `    url: ${JSON.stringify(url)}`,
+        ...(token ? ['    requestOptions:', '      headers:', `        Authorization: ${JSON.stringify(`Bearer ${token}`)}`] : []),
+      ]),
+    ].join('\n') + '\n',
+  },
+};
+
+/**
+ * Narrow servers to the given names and/or tags (either list may be empty).
+ *
+ * @param {object[]} servers  Normalized registry entries
+ * @param {{names?: string[], tags?: string[]}} filter
+ */
+export function filterServers(servers, { names = [], tags = [] } = {}) {
+  return servers.filter(s =>
+    (!names.length || names.includes(s.name)) &&
+    (!tags.length || tags.some(t => s.tags.includes(t))));
+}
+
+/**
+ * Render one client config.
+ *
+ * @param {string} format           A key of FORMATS
+ * @param {object[]} servers        Registry entries to include
+ * @param {object} opts
+ * @param {string} opts.baseUrl     Hub URL as clients reach it
+ * @param {string|null} opts.token  Bearer token to embed
+ * @throws {Error} for an unknown format
+ */
+export function renderClientConfig(format, servers, { baseUrl, token }) {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unknown format "${format}" (use ${Object.keys(FORMATS).join(', ')})`);
+  const entries = servers.map((s) => {
+    const transport = s.expose === 'sse' ? 'sse' : 'http';
+    return { name: s.name, url: `${baseUrl}/${encodeURIComponent(s.name)}/${transport === 'sse' ? 'sse' : 'mcp'}`, transport };
+  });
+  return spec.render(entries, token);
+}
+
+/**
+ * Serve /_clients/<format>?servers=a,b&tags=x for the calling client.
+ *
+ * @param {object} opts
+ * @param {() => object[]} opts.servers  Servers clients can currently reach
+ * @param {string} opts.baseUrl
+ */
+export function createClientConfigs({ servers, baseUrl }) {
+  return {
+    handle(req, res, subPath, search) {
+      if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      let format;
+      try {
+        format = decodeURIComponent(subPath.slice(1));
+      } catch {
+        sendJson(res, 400, { error: 'Malformed format name' });
+        return;
+      }
+      if (!format) {
+        sendJson(res, 200, { formats: Object.keys(FORMATS) });
+        return;
+      }
+      const spec = FORMATS[format];
+      if (!spec) {
+        sendJson(res, 404, { error: `Unknown format "${format}" (use ${Object.keys(FORMATS).join(', ')})` });
+        return;
+      }
+      const query = new URLSearchParams(search);
+      const list = (key) => (query.get(key) || '').split(',').filter(Boolean);
+      let selected = filterServers(servers(), { names: list('servers'), tags: list('tags') });
+      if (req.hubClient) selected = selected.filter(s => req.hubClient.allows(s.name));
+      // The caller already holds this token; hand it back in their config
+      const token = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1].trim() || null;
+      res.writeHead(200, {
+        'Content-Type': spec.contentType,
+        'Content-Disposition': `inline; filename="${spec.file}"`,
+      });
+      res.end(renderClientConfig(format, selected, { baseUrl, token }));
+    },
+  };
+}
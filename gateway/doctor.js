@@ -0,0 +1,189 @@
+// =============================================================================
+// Preflight Checks
+// =============================================================================
+// `node index.js --doctor` runs these against every selected server and prints
+// a verdict with a fix hint for each problem. The hub also uses the static
+// checks for its startup policy (MCP_STARTUP_POLICY), so a server with a blank
+// token can be skipped instead of "starting" and failing on its first call.
+//
+//   secrets    every variable in "secrets" is set, and not still the example
+//              value from .env.template
+//   command    the command (npx, uvx, node, …) is on the child's PATH
+//   paths      absolute paths in args and env exist
+//   network    URLs and host:port values in args and env, and a remote
+//              server's url, accept a TCP connection (only when network
+//              checks are requested)
+//
+// Verdicts: ok, warn (may still work), fail (will not work as configured).
+// =============================================================================
+
+import { accessSync, existsSync, readFileSync, constants } from 'fs';
+import { delimiter, dirname, isAbsolute, join } from 'path';
+import net from 'net';
+import { buildChildEnv } from './env.js';
+
+const DEFAULT_PORTS = {
+  'http:': 80,
+  'https:': 443,
+  'ws:': 80,
+  'wss:': 443,
+  'redis:': 6379,
+  'rediss:': 6380,
+  'postgres:': 5432,
+  'postgresql:': 5432,
+  'mongodb:': 27017,
+  'mysql:': 3306,
+};
+
+const INSTALL_HINTS = {
+  node: 'install Node.js 20+',
+  npx: 'install Node.js 20+ (it ships npx)',
+  uvx: 'install uv: curl -LsSf https://astral.sh/uv/install.sh | sh',
+};
+
+/**
+ * Example values from .env.template, so a copied-but-unedited secret is
+ * caught. Returns an empty map when the template is missing.
+ */
+export function loadTemplateValues(path) {
+  const values = new Map();
+  if (!existsSync(path)) return values;
+  for (const line of readFileSync(path, 'utf-8').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const eqIdx = trimmed.indexOf('=');
+    if (eqIdx === -1) continue;
+    const val = trimmed.slice(eqIdx + 1).trim();
+    if (val) values.set(trimmed.slice(0, eqIdx).trim(), val);
+  }
+  return values;
+}
+
+function onPath(command, env) {
+  const candidates = isAbsolute(command) || command.includes('/')
+    ? [command]
+    : (env.PATH || '').split(delimiter).filter(Boolean).map(dir => join(dir, command));
+  return candidates.some((file) => {
+    try {
+      accessSync(file, constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+// Values to scan, labelled by where they came from
+function values(server) {
+  return [
+    ...(server.url ? [{ label: 'url', key: null, value: server.url }] : []),
+    ...server.args.map(v => ({ label: 'argument', key: null, value: v })),
+    ...Object.entries(server.env || {}).map(([k, v]) => ({ label: k, key: k, value: v })),
+  ];
+}
+
+// host:port for a URL or bare host:port value, or null when it isn't one
+function endpoint(value) {
+  if (/^[\w.-]+:\d+$/.test(value)) {
+    const [host, port] = value.split(':');
+    return { host, port: Number(port) };
+  }
+  if (!/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value)) return null;
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  const port = Number(url.port) || DEFAULT_PORTS[url.protocol];
+  if (!url.hostname || !port) return null;
+  return { host: url.hostname.replace(/^\[|\]$/g, ''), port };
+}
+
+function connect({ host, port }, timeout) {
+  return new Promise((resolvePromise) => {
+    const socket = net.connect({ host, port });
+    const done = (error) => {
+      socket.destroy();
+      resolvePromise(error);
+    };
+    socket.setTimeout(timeout, () => done(`no answer within ${timeout / 1000}s`));
+    socket.once('connect', () => done(null));
+    socket.once('error', (err) => done(err.code || err.message));
+  });
+}
+
+/**
+ * Check one server.
+ *
+ * @param {object} server  Normalized registry entry
+ * @param {object} [opts]
+ * @param {object} [opts.env]           Environment the hub runs with
+ * @param {Map} [opts.templateValues]   From loadTemplateValues()
+ * @param {boolean} [opts.network]      Also try TCP connections
+ * @param {number} [opts.timeout]       Per-connection timeout (ms)
+ * @returns {Promise<{name: string, verdict: 'ok'|'warn'|'fail', problems: object[]}>}
+ */
+export async function checkServer(server, { env = process.env, templateValues = new Map(), network = false, timeout = 3000 } = {}) {
+  const problems = [];
+  const problem = (level, check, message, hint) => problems.push({ level, check, message, hint });
+
+  for (const key of server.secrets) {
+    if (!env[key]) {
+      problem('fail', 'secrets', `${key} is not set`, `add ${key} to .env (see .env.template)`);
+    } else if (templateValues.get(key) === env[key] || /x{8,}/.test(env[key])) {
+      problem('fail', 'secrets', `${key} is still the .env.template example value`, `replace ${key} in .env with a real value`);
+    }
+  }
+
+  // Resolved the way the child will: with its minimal environment, not the hub's
+  const childEnv = buildChildEnv(server, env).env;
+  // A remote server runs the hub's own supergateway
+  if (server.command && !onPath(server.command, childEnv)) {
+    problem('fail', 'command', `${server.command} not found on PATH`, INSTALL_HINTS[server.command] || `install ${server.command} or fix "command"`);
+  }
+
+  for (const { label, key, value } of values(server)) {
+    if (!isAbsolute(value) || /\s/.test(value)) continue;
+    if (existsSync(value)) continue;
+    const fix = key ? `create it, or point ${key} elsewhere in .env` : `create it, or fix "args" in the registry`;
+    if (existsSync(dirname(value))) {
+      problem('warn', 'paths', `${value} (${label}) does not exist yet`, `${fix} (fine if the server creates it)`);
+    } else {
+      problem('fail', 'paths', `${value} (${label}) does not exist`, `mkdir -p ${dirname(value)} — or ${fix}`);
+    }
+  }
+
+  if (network) {
+    const targets = values(server).map(v => ({ ...v, ep: endpoint(v.value) })).filter(v => v.ep);
+    const results = await Promise.all(targets.map(t => connect(t.ep, timeout)));
+    targets.forEach(({ label, key, ep }, i) => {
+      if (!results[i]) return;
+      problem('fail', 'network', `${ep.host}:${ep.port} (${label}) unreachable: ${results[i]}`,
+        key ? `start the service, or fix ${key} in .env` : 'start the service, or fix the URL');
+    });
+  }
+
+  const verdict = problems.some(p => p.level === 'fail') ? 'fail' : problems.length ? 'warn' : 'ok';
+  return { name: server.name, verdict, problems };
+}
+
+// Render results the way the startup banner lists servers
+export function formatReport(results) {
+  const mark = { ok: '[OK]', warn: '[!!]', fail: '[XX]' };
+  const lines = [];
+  for (const r of results) {
+    if (!r.problems.length) {
+      lines.push(`  ${mark.ok} ${r.name}`);
+      continue;
+    }
+    r.problems.forEach((p, i) => {
+      lines.push(`  ${i === 0 ? mark[r.verdict] : '    '} ${(i === 0 ? r.name : '').padEnd(22)} ${p.message}`);
+      lines.push(`       ${''.padEnd(22)} -> ${p.hint}`);
+    });
+  }
+  const count = (v) => results.filter(r => r.verdict === v).length;
+  lines.push('');
+  lines.push(`  ${count('ok')} ok, ${count('warn')} with warnings, ${count('fail')} failing`);
+  return lines.join('\n');
+}
@@ -0,0 +1,99 @@
+// =============================================================================
+// Child Environment
+// =============================================================================
+// Children do not inherit the hub's environment. Each one gets:
+//
+//   1. A minimal base: PATH, HOME, user and locale, temp dirs, XDG dirs, proxy
+//      and CA settings — what npx/uvx need to find, download and run a package.
+//   2. The variables its registry entry declares in "env".
+//   3. Hub variables it opts into by name with "passEnv" (or that every child
+//      opts into via MCP_PASS_ENV). A trailing * matches a prefix: "AWS_*".
+//
+// So the time server never sees GITHUB_TOKEN, and a secret only reaches the
+// servers whose entries reference it.
+// =============================================================================
+
+const BASE_VARS = [
+  'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'TZ',
+  'LANG', 'LANGUAGE', 'LC_*',
+  'TMPDIR', 'TEMP', 'TMP',
+  'XDG_*',
+  'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'http_proxy', 'https_proxy', 'no_proxy',
+  'NODE_EXTRA_CA_CERTS', 'SSL_CERT_FILE', 'SSL_CERT_DIR',
+];
+
+// Names that suggest a value is a credential, for the --env report
+const SECRET_RE = /TOKEN|SECRET|PASSWORD|PASSWD|KEY|CREDENTIAL|CONNECTION_STRING|AUTH/i;
+
+function matcher(patterns) {
+  const exact = new Set();
+  const prefixes = [];
+  for (const p of patterns) {
+    if (p.endsWith('*')) prefixes.push(p.slice(0, -1));
+    else exact.add(p);
+  }
+  return (name) => exact.has(name) || prefixes.some(prefix => name.startsWith(prefix));
+}
+
+const isBase = matcher(BASE_VARS);
+
+// MCP_PASS_ENV="A,B_*" → ['A', 'B_*']
+export function globalPassEnv(env = process.env) {
+  return (env.MCP_PASS_ENV || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Build a server's environment and record where each variable came from.
+ *
+ * @param {object} server  Normalized registry entry
+ * @param {object} [env]   The hub's environment
+ * @returns {{env: object, sources: Map<string, 'base'|'declared'|'passed'>}}
+ */
+export function buildChildEnv(server, env = process.env) {
+  const out = {};
+  const sources = new Map();
+  const passes = matcher([...globalPassEnv(env), ...server.passEnv]);
+
+  for (const [k, v] of Object.entries(env)) {
+    if (v === undefined) continue;
+    if (isBase(k)) {
+      out[k] = v;
+      sources.set(k, 'base');
+    } else if (passes(k)) {
+      out[k] = v;
+      sources.set(k, 'passed');
+    }
+  }
+  for (const [k, v] of Object.entries(server.env || {})) {
+    if (v !== undefined && v !== null) {
+      out[k] = String(v);
+      sources.set(k, 'declared');
+    }
+  }
+  return { env: out, sources };
+}
+
+/**
+ * What a server can see beyond the base environment, for --env: its
+ * variables plus hub variables interpolated into its args. Never includes
+ * values.
+ *
+ * @returns {{name: string, source: string, from: string[], secret: boolean}[]}
+ */
+export function describeChildEnv(server, env = process.env) {
+  const { sources } = buildChildEnv(server, env);
+  const out = [];
+  for (const [name, source] of sources) {
+    if (source === 'base') continue;
+    const from = source === 'declared' ? server.envRefs?.[name] || [] : [name];
+    const secret = SECRET_RE.test(name) || from.some(ref => SECRET_RE.test(ref) || server.secrets.includes(ref));
+    out.push({ name, source, from, secret });
+  }
+  out.sort((a, b) => a.name.localeCompare(b.name));
+  // Values interpolated into the command line are visible to the child too
+  for (const ref of server.argRefs || []) {
+    if (env[ref] === undefined) continue;
+    out.push({ name: '(args)', source: 'argument', from: [ref], secret: SECRET_RE.test(ref) || server.secrets.includes(ref) });
+  }
+  return out;
+}
@@ -0,0 +1,834 @@
+// =============================================================================
+// Hub
+// =============================================================================
+// The hub as a library: a Hub owns the front-door proxy, one Supervisor per
+// server, lazy routes, reloads and shutdown. index.js is the command-line
+// wrapper around it; another Node program can embed it the same way:
+//
+//   import { Hub, readRegistry, createAuth } from './hub.js';
+//
+//   const { servers, profiles } = readRegistry();
+//   const hub = new Hub({ servers, profiles, only: ['tag:core-dev'], port: 3100,
+//                         auth: createAuth({ apiKey: process.env.MCP_API_KEY }) });
+//   hub.on('failed', ({ server, error }) => alert(server, error));
+//   await hub.start();
+//   hub.status();                      // same objects as GET /_admin/servers
+//   await hub.restart('github');
+//   hub.generateConfig('cursor');
+//   await hub.stop();
+//
+// Nothing happens on import or construction beyond assigning ports in memory
+// (start() records them in portsFile): no .env loading, no argv, no signal
+// handlers, no process.exit. Options default to
+// a memory-only hub that logs events to the console; the CLI passes the
+// MCP_* settings.
+//
+// Events (each with { server, port, … }, mirrored to the event log):
+//   spawn, ready({state, tools, error}), exit({code, signal}),
+//   respawn({delay, attempt, …}), unhealthy({error}), limit({kind, rss, limit}),
+//   failed({error}), dead, skipped({reason}), wake, idle, admin({action}),
+//   aggregate({method, error}) when a list on /mcp leaves the server out
+// and hub-wide: reload(summary), settings({path})
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { chmodSync, existsSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { selectServers, unknownSelectors } from './servers.js';
+import { createProxy } from './proxy.js';
+import { createAggregator } from './aggregate.js';
+import { assignPorts, isPortFree } from './ports.js';
+import { createAdmin, AdminError } from './admin.js';
+import { Supervisor } from './supervisor.js';
+import { createServerLog, createEventLog } from './logs.js';
+import { createMetrics } from './metrics.js';
+import { checkServer } from './doctor.js';
+import { buildChildEnv } from './env.js';
+import { limitCommand, memoryLimitBytes, resolveIds } from './limits.js';
+import { groupUsage } from './proc.js';
+import { createClientConfigs, renderClientConfig } from './clients.js';
+import { createAuditLog } from './audit.js';
+import { createLimiter } from './ratelimit.js';
+import { loadTlsOptions } from './tls.js';
+import { launchCommand } from './packages.js';
+import { remoteCommand } from './remote.js';
+
+export { parseRegistry, readRegistry, RegistryError } from './servers.js';
+export { createAuth } from './auth.js';
+export { resolveTls } from './tls.js';
+export { readLockfile } from './packages.js';
+export { createEventLog } from './logs.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const SG_ENTRY = resolve(__dirname, 'node_modules', 'supergateway', 'dist', 'index.js');
+const LOOPBACK = resolve(__dirname, 'loopback.cjs');
+
+export const STARTUP_POLICIES = ['all', 'configured', 'reachable'];
+
+// "error" keeps supergateway's errors and the server's stderr; "info" and
+// "debug" add every JSON-RPC message, arguments and results unredacted;
+// "none" also drops the server's stderr
+export const CHILD_LOG_LEVELS = ['none', 'error', 'info', 'debug'];
+
+export const HUB_DEFAULTS = {
+  host: '0.0.0.0',
+  port: 3100,
+  // Children listen on internal loopback ports from here up
+  basePort: 3170,
+  // Persisted name → port map (ports.js); null assigns in memory
+  portsFile: null,
+  // Hub URL as clients reach it, for generated configs (default: localhost)
+  publicUrl: null,
+  // From createAuth(); null serves without authentication
+  auth: null,
+  // From resolveTls(); null serves plain HTTP
+  tls: null,
+  // Server selection (servers.js): a registry profile name, then selectors
+  profile: null,
+  only: [],
+  exclude: [],
+  // From readLockfile(); pinned packages launch from packageDir
+  lock: null,
+  packageDir: resolve(__dirname, 'packages'),
+  offline: false,
+  // Start servers on first request and stop them once idle (seconds)
+  lazy: false,
+  idleTimeout: 600,
+  // all | configured | reachable (see doctor.js)
+  startupPolicy: 'all',
+  templateValues: new Map(),
+  // Seconds a child gets to pass readiness probing; registry "readyTimeout" overrides
+  readyTimeout: 60,
+  // Consecutive failed respawns before a server is given up on, and the
+  // uptime (seconds) that resets the count
+  maxRespawns: 10,
+  stableUptime: 60,
+  // Seconds between handshake checks of a ready server (0 for none); two
+  // failures in a row count as a crash
+  healthInterval: 30,
+  aggregateTtl: 300000,
+  // Per-server output: <logDir>/<name>.log, or memory only when null
+  logDir: null,
+  logMaxSize: 10 * 1024 * 1024,
+  logFiles: 5,
+  logLines: 1000,
+  // What of supergateway's output reaches the server log (CHILD_LOG_LEVELS)
+  childLogLevel: 'error',
+  // JSONL audit log path, or null for none
+  auditLog: null,
+  // From createEventLog(); also receives every event the hub emits
+  eventLog: null,
+  // Keep a Claude Code config for the served servers at this path
+  settingsFile: null,
+  // Servers launched at once
+  batchSize: 10,
+};
+
+const IDLE_SWEEP_INTERVAL = 15000;
+const MEMORY_CHECK_INTERVAL = 5000;
+
+const isUp = (inst) => inst?.state === 'ready' || inst?.state === 'degraded';
+
+// What about a server requires a restart when it changes. env is what the
+// child gets, by default resolved from the current process.env.
+const launchSignature = (server, port, lock, env = buildChildEnv(server).env) =>
+  JSON.stringify({
+    command: server.command,
+    args: server.args,
+    url: server.url,
+    transport: server.transport,
+    expose: server.expose,
+    locked: lock.servers[server.name] ?? null,
+    env,
+    port,
+    ...['limits', 'cwd', 'user', 'group', 'privateTmp'].reduce((o, k) => ({ ...o, [k]: server[k] }), {}),
+  });
+
+export class Hub extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {object[]} opts.servers  Every registry entry, from readRegistry()
+   *   or parseRegistry(); the selection options pick which ones run
+   * @param {object} [opts.profiles]  Named profiles from the same registry
+   * @param {...*} [opts.options]     Any of HUB_DEFAULTS
+   * @throws {Error} for an unknown profile, a selector that matches nothing,
+   *   an unknown startup policy or child log level, or colliding ports
+   */
+  constructor({ servers, profiles = {}, ...options }) {
+    super();
+    this.options = { ...HUB_DEFAULTS, ...options };
+    const { profile, only, exclude, startupPolicy } = this.options;
+    if (profile && !profiles[profile]) {
+      const known = Object.keys(profiles);
+      throw new Error(`unknown profile "${profile}"${known.length ? ` (use ${known.join(', ')})` : ' (the registry defines none)'}`);
+    }
+    for (const [key, selectors] of [['only', only], ['exclude', exclude]]) {
+      const unknown = unknownSelectors(servers, selectors);
+      if (unknown.length) {
+        throw new Error(`${key}: ${unknown.map(sel => `"${sel}"`).join(', ')} matches no server`);
+      }
+    }
+    if (!STARTUP_POLICIES.includes(startupPolicy)) {
+      throw new Error(`unknown startup policy "${startupPolicy}" (use ${STARTUP_POLICIES.join(', ')})`);
+    }
+    if (!CHILD_LOG_LEVELS.includes(this.options.childLogLevel)) {
+      throw new Error(`unknown child log level "${this.options.childLogLevel}" (use ${CHILD_LOG_LEVELS.join(', ')})`);
+    }
+
+    this.servers = servers;
+    this.profiles = profiles;
+    this.lock = this.options.lock ?? { servers: {} };
+    this.auth = this.options.auth;
+    this.tls = this.options.tls;
+    this.eventLog = this.options.eventLog ?? createEventLog();
+    // Ports are assigned over the whole registry so selections never shift
+    // them. Only a hub that serves records new ones (--list, --generate and
+    // --doctor leave portsFile alone).
+    this.ports = this._assignPorts(servers, { save: false });
+
+    this.routes = new Map();
+    // name → Supervisor for every server the hub launched.
+    // state: starting | ready | degraded | failed | respawning | dead
+    this.instances = new Map();
+    // name → launchSignature() of the running supervisor, taken with the
+    // environment it was given: reloads compare against this, since
+    // process.env itself has been reloaded by then
+    this.signatures = new Map();
+    // name → why it failed to start
+    this.failures = new Map();
+    // name → why the startup policy skipped it
+    this.skipped = new Map();
+    // One output log per server, kept across stop/start so the admin API can
+    // still show why a server died
+    this.serverLogs = new Map();
+    this.proxy = null;
+    this.aggregator = null;
+    this.metrics = null;
+    this.audit = null;
+    this.timers = [];
+    this.stopping = null;
+    this.reloading = Promise.resolve();
+  }
+
+  get scheme() {
+    return this.tls ? 'https' : 'http';
+  }
+
+  // Hub URL as clients reach it
+  get publicUrl() {
+    return this.options.publicUrl || `${this.scheme}://localhost:${this.options.port}`;
+  }
+
+  /**
+   * Enabled entries the profile and only/exclude selectors pick.
+   *
+   * @param {object[]} [servers]   Defaults to the current registry
+   * @param {object} [profiles]
+   */
+  selected(servers = this.servers, profiles = this.profiles) {
+    const { profile, only, exclude } = this.options;
+    return selectServers(servers, { profile: profile ? profiles[profile] : undefined, only, exclude });
+  }
+
+  // Servers clients can currently reach, running or on demand
+  advertised() {
+    return this.servers.filter(s => this.routes.has(s.name));
+  }
+
+  /**
+   * Listen, then launch the selected servers in batches (lazy ones only get
+   * a route). Resolves once every eager server is ready, degraded or failed.
+   *
+   * @returns {Promise<{started: string[], failed: {name: string, error: string}[],
+   *   lazy: string[], skipped: {name: string, reason: string}[]}>}
+   */
+  async start() {
+    if (this.proxy) throw new Error('The hub is already started');
+    // Same assignment as the constructor's, now recorded
+    this.ports = this._assignPorts(this.servers);
+    const servers = await this._applyStartupPolicy(this.selected());
+    const { options } = this;
+
+    this.metrics = createMetrics({ status: () => this.status() });
+    const { metrics } = this;
+    this.audit = options.auditLog && createAuditLog({
+      path: options.auditLog,
+      settings: name => this.servers.find(s => s.name === name)?.audit,
+      // Values of every registry secret, plus the hub's own key
+      secrets: () => [...new Set(this.servers.flatMap(s => s.secrets))].map(k => process.env[k]).concat(this.auth?.masterKey),
+    });
+    let tlsOptions;
+    try {
+      tlsOptions = this.tls && loadTlsOptions(this.tls);
+    } catch (err) {
+      throw new Error(`TLS: ${err.message}`);
+    }
+
+    const limiter = createLimiter();
+    this.aggregator = createAggregator({
+      routes: this.routes, ttl: options.aggregateTtl, metrics, audit: this.audit, limiter,
+      onListError: ({ server, method, error }) => {
+        this._event('warn', 'aggregate', { server, port: this.ports.get(server), pid: this.instances.get(server)?.pid ?? null, method, error },
+          `[AGGR] ${server}: ${method} failed: ${error}`);
+      },
+    });
+    const admin = createAdmin(this._adminController());
+    const clients = createClientConfigs({ servers: () => this.advertised(), baseUrl: this.publicUrl });
+    this.proxy = createProxy({
+      routes: this.routes, aggregator: this.aggregator, admin, metrics, clients, audit: this.audit, limiter,
+      auth: this.auth,
+      tls: tlsOptions,
+    });
+    await new Promise((resolvePromise, rejectPromise) => {
+      this.proxy.once('error', rejectPromise);
+      this.proxy.listen(options.port, options.host, resolvePromise);
+    });
+
+    // Lazy servers only need a route; they start on their first request
+    const lazy = servers.filter(s => this._isLazy(s));
+    for (const server of lazy) this._addRoute(server, this.ports.get(server.name));
+    if (options.lazy) this.timers.push(setInterval(() => this._sweepIdle(), IDLE_SWEEP_INTERVAL).unref());
+
+    // Memory caps apply to the whole process group's RSS, sampled from /proc;
+    // a spike shorter than MEMORY_CHECK_INTERVAL can slip between samples
+    this.timers.push(setInterval(() => {
+      const capped = [...this.instances.values()].filter(sup => sup.options.memoryLimit);
+      if (!capped.length) return;
+      const usage = groupUsage();
+      for (const sup of capped) sup.enforceMemory(usage);
+    }, MEMORY_CHECK_INTERVAL).unref());
+
+    // Launch in batches to avoid overwhelming the system
+    const eager = servers.filter(s => !this._isLazy(s));
+    for (let i = 0; i < eager.length && !this.stopping; i += options.batchSize) {
+      const batch = eager.slice(i, i + options.batchSize);
+      await Promise.all(batch.map(server => this._launchServer(server, this.ports.get(server.name))));
+    }
+
+    this._writeSettings();
+    return {
+      started: eager.filter(s => this.routes.has(s.name)).map(s => s.name),
+      failed: eager.filter(s => this.failures.has(s.name)).map(s => ({ name: s.name, error: this.failures.get(s.name) })),
+      lazy: lazy.map(s => s.name),
+      skipped: [...this.skipped].map(([name, reason]) => ({ name, reason })),
+    };
+  }
+
+  /**
+   * Stop accepting requests, then stop every child and wait for all of them
+   * to exit. Resolves with the names of the servers that were running. A
+   * stopped hub cannot be started again.
+   */
+  stop() {
+    if (!this.stopping) {
+      this.stopping = (async () => {
+        this.timers.splice(0).forEach(clearInterval);
+        if (this.proxy) {
+          this.proxy.close();
+          this.proxy.closeAllConnections();
+        }
+        const names = [...this.instances.keys()];
+        await Promise.all(names.map(name => this._stopServer(name)));
+        await Promise.all([...this.serverLogs.values()].map(log => log.close()));
+        if (this.audit) await this.audit.close();
+        return names;
+      })();
+    }
+    return this.stopping;
+  }
+
+  /**
+   * Live view of every registry entry, as served by GET /_admin/servers.
+   */
+  status() {
+    const now = Date.now();
+    return this.servers.map((s) => {
+      const inst = this.instances.get(s.name);
+      const base = {
+        name: s.name,
+        port: this.ports.get(s.name),
+        tags: s.tags,
+        ...(this.lock.servers[s.name] ? { version: this.lock.servers[s.name].version } : {}),
+      };
+      if (inst) {
+        return {
+          ...base,
+          state: inst.state,
+          pid: inst.child && inst.child.exitCode === null ? inst.pid : null,
+          uptime: inst.child && inst.child.exitCode === null ? Math.round((now - inst.startedAt) / 1000) : null,
+          tools: inst.tools,
+          ...(inst.readyError ? { error: inst.readyError } : {}),
+          restarts: inst.restarts,
+          lastExit: inst.lastExit && { ...inst.lastExit, at: new Date(inst.lastExit.at).toISOString() },
+        };
+      }
+      if (this.failures.has(s.name)) return { ...base, state: 'failed', error: this.failures.get(s.name), restarts: 0 };
+      if (this.skipped.has(s.name)) return { ...base, state: 'unconfigured', error: this.skipped.get(s.name), restarts: 0 };
+      if (this.routes.has(s.name)) return { ...base, state: 'idle', restarts: 0 };
+      return { ...base, state: s.enabled ? 'stopped' : 'disabled', restarts: 0 };
+    });
+  }
+
+  /**
+   * Start one registry entry, selected or not.
+   *
+   * @throws {AdminError} 404 for an unknown server, 409 if it is running
+   */
+  async startServer(name) {
+    const server = this._entry(name);
+    if (this.instances.has(name)) throw new AdminError(409, `${name} is already ${this.instances.get(name).state}`);
+    this.failures.delete(name);
+    await this._launchServer(server, this.ports.get(name));
+    return this._statusOf(name);
+  }
+
+  /**
+   * Stop one server and remove its route.
+   *
+   * @throws {AdminError} 404 for an unknown server
+   */
+  async stopServer(name) {
+    this._entry(name);
+    await this._stopServer(name);
+    return this._statusOf(name);
+  }
+
+  /**
+   * Stop one server if it runs, then launch it again.
+   *
+   * @throws {AdminError} 404 for an unknown server
+   */
+  async restart(name) {
+    const server = this._entry(name);
+    await this._stopServer(name);
+    await this._launchServer(server, this.ports.get(name));
+    return this._statusOf(name);
+  }
+
+  /**
+   * Close the circuit breaker on a server that gave up respawning.
+   *
+   * @throws {AdminError} 404 for an unknown server, 409 unless it is dead
+   */
+  async reset(name) {
+    this._entry(name);
+    const sup = this.instances.get(name);
+    if (sup?.state !== 'dead') throw new AdminError(409, `${name} is not dead, nothing to reset`);
+    if (await sup.reset()) {
+      this._addRoute(sup.server, sup.port);
+    } else if (this.instances.get(name) === sup) {
+      this.instances.delete(name);
+      this.failures.set(name, sup.readyError);
+    }
+    return this._statusOf(name);
+  }
+
+  // The last lines of a server's output
+  logs(name, lines) {
+    return this.serverLogs.get(name)?.tail(lines).join('\n') ?? '';
+  }
+
+  /**
+   * Render a client config (clients.js) for the servers the hub serves —
+   * or, before start(), the ones it would. With a client name, that client's
+   * token is embedded and only its allowed servers are kept; otherwise the
+   * master key is used.
+   *
+   * @param {string} format  claude-code, cursor, vscode, …
+   * @param {object} [opts]
+   * @param {string} [opts.client]  Client from the tokens file
+   * @throws {Error} for an unknown format or client
+   */
+  generateConfig(format, { client } = {}) {
+    let servers = this.proxy ? this.advertised() : this.selected();
+    let token = this.auth?.masterKey ?? null;
+    if (client) {
+      if (!this.auth) throw new Error('Authentication is disabled, so there are no client tokens');
+      const creds = this.auth.clientCredentials(client);
+      token = creds.token;
+      servers = servers.filter(s => creds.allows(s.name));
+    }
+    return renderClientConfig(format, servers, { baseUrl: this.publicUrl, token });
+  }
+
+  /**
+   * Converge the running set onto a new registry: start new entries, stop
+   * removed ones, restart changed ones. Reloads run one at a time; one that
+   * throws leaves the current servers as they are.
+   *
+   * @param {object} next
+   * @param {object[]} next.servers
+   * @param {object} [next.profiles]  Default: the current ones
+   * @param {object} [next.lock]      Default: the current one
+   * @returns {Promise<{stopped: string[], started: string[], restarted: string[],
+   *   failed: {name: string, error: string}[], skipped: string[]}>}
+   */
+  reload({ servers, profiles = this.profiles, lock = this.lock }) {
+    const run = this.reloading.then(() => this._reload(servers, profiles, lock));
+    this.reloading = run.catch(() => {});
+    return run;
+  }
+
+  // Pick up renewed certificate files; a bad file keeps the current ones
+  reloadTls() {
+    if (!this.tls || !this.proxy) return;
+    try {
+      this.proxy.setSecureContext(loadTlsOptions(this.tls));
+      this._event('info', 'tls', { cert: this.tls.cert }, `[TLS] Reloaded ${this.tls.cert}`);
+    } catch (err) {
+      this._event('error', 'tls', { cert: this.tls.cert, error: err.message }, `[TLS] Keeping the current certificate: ${err.message}`);
+    }
+  }
+
+  // Log an event and emit it to listeners
+  _event(level, event, fields, text) {
+    this.eventLog.event(level, event, fields, text);
+    this.emit(event, fields);
+  }
+
+  _assignPorts(servers, { save = true } = {}) {
+    const { basePort, portsFile, port } = this.options;
+    return assignPorts(servers, { base: basePort, file: portsFile, reserved: [port], save });
+  }
+
+  _entry(name) {
+    const server = this.servers.find(s => s.name === name);
+    if (!server) throw new AdminError(404, `Unknown server: ${name}`);
+    return server;
+  }
+
+  _statusOf(name) {
+    return this.status().find(s => s.name === name);
+  }
+
+  // In lazy mode a server is only spawned when a request arrives, and stopped
+  // again once idle. "alwaysOn": true in the registry pins it.
+  _isLazy(server) {
+    return this.options.lazy && !server.alwaysOn;
+  }
+
+  // "configured" skips servers failing the doctor's static checks (secrets,
+  // command, paths); "reachable" also skips those whose endpoints don't answer
+  async _applyStartupPolicy(selected) {
+    const { startupPolicy, templateValues } = this.options;
+    this.skipped.clear();
+    if (startupPolicy === 'all') return selected;
+    const results = await Promise.all(selected.map(s =>
+      checkServer(s, { templateValues, network: startupPolicy === 'reachable' })));
+    return selected.filter((s, i) => {
+      const fails = results[i].problems.filter(p => p.level === 'fail');
+      if (fails.length) {
+        const reason = fails.map(p => p.message).join('; ');
+        this.skipped.set(s.name, reason);
+        this._event('warn', 'skipped', { server: s.name, reason });
+      }
+      return !fails.length;
+    });
+  }
+
+  // Register the proxy route for a server. Lazy routes carry acquire(), which
+  // the proxy awaits before forwarding: it spawns the child if needed and
+  // returns a release callback so in-flight requests hold off the idle reaper.
+  _addRoute(server, port) {
+    const existing = this.routes.get(server.name);
+    if (existing && existing.server === server && existing.port === port) return existing;
+
+    const route = { server, port };
+    if (this._isLazy(server)) {
+      Object.assign(route, {
+        inFlight: 0,
+        lastUsed: Date.now(),
+        idleTimeout: (server.idleTimeout ?? this.options.idleTimeout) * 1000,
+        starting: null,
+        active: () => isUp(this.instances.get(server.name)),
+        acquire: async () => {
+          route.inFlight++;
+          route.lastUsed = Date.now();
+          try {
+            if (!this.instances.has(server.name)) {
+              if (!route.starting) {
+                this._event('info', 'wake', { server: server.name, port },
+                  `[WAKE] ${server.name} (port ${port}) starting on demand`);
+                this.failures.delete(server.name);
+                route.starting = this._launchServer(server, port).finally(() => { route.starting = null; });
+              }
+              if (!(await route.starting)) {
+                throw new Error(this.failures.get(server.name) || 'failed to start');
+              }
+            }
+          } catch (err) {
+            route.inFlight--;
+            throw err;
+          }
+          return () => {
+            route.inFlight--;
+            route.lastUsed = Date.now();
+          };
+        },
+      });
+    }
+    this.routes.set(server.name, route);
+    this.aggregator?.invalidate(server.name);
+    return route;
+  }
+
+  // Bring a selected server up: lazy ones just get a route, others are spawned
+  _activate(server, port) {
+    if (this._isLazy(server)) {
+      this._addRoute(server, port);
+      return Promise.resolve(true);
+    }
+    return this._launchServer(server, port);
+  }
+
+  // Stop lazy children that have had no requests for their idle timeout
+  _sweepIdle() {
+    const now = Date.now();
+    for (const [name, route] of this.routes) {
+      if (!route.acquire || route.inFlight > 0 || !route.active()) continue;
+      if (now - route.lastUsed < route.idleTimeout) continue;
+      const idle = Math.round((now - route.lastUsed) / 1000);
+      this._event('info', 'idle', { server: name, port: route.port, idle },
+        `[IDLE] ${name} (port ${route.port}) idle for ${idle}s, stopping`);
+      this._stopServer(name, { keepRoute: true });
+    }
+  }
+
+  // The stdio command a server runs under supergateway: a second supergateway
+  // for a remote server, otherwise the (possibly pinned) registry command
+  _stdioCommand(server) {
+    const { childLogLevel, packageDir, offline } = this.options;
+    if (server.url) {
+      // The bridge logs everything, messages and headers included, to stderr
+      const logLevel = childLogLevel === 'error' ? 'none' : childLogLevel;
+      return remoteCommand(server, { sgEntry: SG_ENTRY, logLevel });
+    }
+    return launchCommand(server, { lock: this.lock, dir: packageDir, offline });
+  }
+
+  // The supergateway command line for one server; launch is from _stdioCommand()
+  _spawnSpec(server, port, env, ids, launch) {
+    const stdioCmd = limitCommand([launch.command, ...launch.args].join(' '), server.limits);
+    return {
+      command: process.execPath,
+      args: [
+        '--require', LOOPBACK,
+        SG_ENTRY,
+        '--stdio', stdioCmd,
+        '--outputTransport', 'streamableHttp',
+        '--port', String(port),
+        '--cors',
+        // "error" runs at info and drops stdout, where the messages go
+        '--logLevel', this.options.childLogLevel === 'error' ? 'info' : this.options.childLogLevel,
+        '--healthEndpoint', '/health',
+      ],
+      env,
+      cwd: server.cwd,
+      uid: ids.uid,
+      gid: ids.gid,
+      nice: server.limits.nice,
+      privateTmp: server.privateTmp,
+    };
+  }
+
+  _serverLog(name) {
+    if (!this.serverLogs.has(name)) {
+      const { logDir, logMaxSize, logFiles, logLines } = this.options;
+      this.serverLogs.set(name, createServerLog(name, { dir: logDir, maxBytes: logMaxSize, keep: logFiles, lines: logLines }));
+    }
+    return this.serverLogs.get(name);
+  }
+
+  _createSupervisor(server, port, ids, launch) {
+    const { maxRespawns, stableUptime, readyTimeout, healthInterval } = this.options;
+    const { env } = buildChildEnv(server);
+    this.signatures.set(server.name, launchSignature(server, port, this.lock, { ...env }));
+    // Running as another user: point HOME at theirs so caches stay writable
+    if (ids.home) Object.assign(env, { HOME: ids.home, USER: ids.name, LOGNAME: ids.name });
+
+    const sup = new Supervisor({
+      server,
+      port,
+      spawnSpec: () => this._spawnSpec(server, port, env, ids, launch),
+      log: this._serverLog(server.name),
+      options: {
+        maxRespawns,
+        stableUptime: stableUptime * 1000,
+        healthInterval: healthInterval * 1000 || null,
+        readyTimeout: (server.readyTimeout ?? readyTimeout) * 1000,
+        memoryLimit: memoryLimitBytes(server.limits),
+        logStdout: this.options.childLogLevel !== 'error',
+      },
+    });
+
+    const fields = () => ({ server: server.name, port, pid: sup.pid });
+    sup.on('spawn', () => {
+      this._event('info', 'spawn', fields());
+    });
+    sup.on('exit', ({ code, signal }) => {
+      this._event(sup.stopping ? 'info' : 'warn', 'exit', { ...fields(), code, signal });
+    });
+    sup.on('limit', ({ kind, rss, limit }) => {
+      const mb = (n) => Math.round(n / (1024 * 1024));
+      this._event('error', 'limit', { ...fields(), kind, rss, limit },
+        `[LIMIT] ${server.name} (port ${port}) using ${mb(rss)} MB, over its ${mb(limit)} MB ${kind} limit; killing`);
+    });
+    sup.on('respawn', ({ delay, attempt }) => {
+      const { code, signal, reason } = sup.lastExit;
+      const stderr = reason === 'memory-limit' ? [] : sup.log.tail(3, 'stderr').filter(Boolean);
+      const how = {
+        'memory-limit': 'was killed for exceeding its memory limit',
+        unhealthy: 'was killed for failing its health checks',
+      }[reason] ?? `exited with ${signal ? `signal ${signal}` : `code ${code}`}`;
+      this._event('warn', 'respawn', { ...fields(), code, signal, reason, delay, attempt, stderr },
+        `[${reason ? 'KILLED' : 'DIED'}] ${server.name} (port ${port}) ${how}, respawning in ${Math.round(delay / 1000)}s (${attempt}/${maxRespawns})` +
+        (stderr.length ? `\n  ${stderr.join('\n  ')}` : ''));
+    });
+    sup.on('unhealthy', (error) => {
+      this._event('error', 'unhealthy', { ...fields(), error },
+        `[FAIL] ${server.name} (port ${port}) unhealthy, recycling: ${error}`);
+    });
+    sup.on('ready', (result) => {
+      if (result.toolNames) this.metrics?.listed(server.name, result.toolNames);
+      // A degraded server promoted by a health check has tools to list now
+      this.aggregator?.invalidate(server.name);
+      this._event(result.state === 'ready' ? 'info' : 'warn', 'ready', { ...fields(), state: result.state, tools: result.tools, error: result.error });
+    });
+    sup.on('failed', (error) => {
+      this._event('error', 'failed', { ...fields(), error });
+    });
+    sup.on('dead', () => {
+      this.routes.delete(server.name);
+      this.aggregator?.invalidate(server.name);
+      this._event('error', 'dead', { ...fields(), attempts: maxRespawns },
+        `[DEAD] ${server.name} (port ${port}) failed ${maxRespawns} respawns in a row, giving up until reset`);
+    });
+    return sup;
+  }
+
+  // A server that could not be handed to a supervisor
+  _fail(server, port, error) {
+    this.failures.set(server.name, error);
+    this._event('error', 'failed', { server: server.name, port, pid: null, error });
+    return false;
+  }
+
+  // Launch a server under a supervisor. Resolves true once the child is ready
+  // or degraded, false if it fails to start (recorded in failures).
+  async _launchServer(server, port) {
+    // Catch port conflicts up front instead of waiting for supergateway to crash
+    if (!(await isPortFree(port))) return this._fail(server, port, `port ${port} is already in use`);
+    if (this.stopping) return false;
+    if (server.cwd && !existsSync(server.cwd)) return this._fail(server, port, `cwd ${server.cwd} does not exist`);
+    let ids;
+    let launch;
+    try {
+      ids = resolveIds(server);
+      launch = this._stdioCommand(server);
+    } catch (err) {
+      return this._fail(server, port, err.message);
+    }
+
+    const sup = this._createSupervisor(server, port, ids, launch);
+    this.instances.set(server.name, sup);
+    if (!(await sup.start())) {
+      if (this.instances.get(server.name) === sup) this.instances.delete(server.name);
+      this.failures.set(server.name, sup.readyError);
+      return false;
+    }
+    this._addRoute(server, port);
+    // A woken lazy server keeps its route; list what it serves now
+    this.aggregator?.invalidate(server.name);
+    return true;
+  }
+
+  // Stop one server: no respawn, wait for its process group to exit. The route
+  // is removed unless keepRoute is set (an idle lazy server stays reachable,
+  // and listed with its last known entries).
+  _stopServer(name, { keepRoute = false } = {}) {
+    const sup = this.instances.get(name);
+    this.instances.delete(name);
+    if (!keepRoute) this.routes.delete(name);
+    this.aggregator?.invalidate(keepRoute ? undefined : name);
+    this.failures.delete(name);
+    return sup ? sup.stop() : Promise.resolve();
+  }
+
+  async _reload(servers, profiles, lock) {
+    const { profile } = this.options;
+    if (profile && !profiles[profile]) throw new Error(`profile "${profile}" is no longer in the registry`);
+    const ports = this._assignPorts(servers);
+
+    const desired = new Map((await this._applyStartupPolicy(this.selected(servers, profiles))).map(s => [s.name, s]));
+    const stopped = [];
+    const toStart = [];
+    const toRestart = [];
+    // Running children plus idle lazy routes that have no child yet
+    const current = new Map(this.routes);
+    for (const [name, inst] of this.instances) current.set(name, inst);
+    for (const [name, cur] of current) {
+      const next = desired.get(name);
+      if (!next) {
+        stopped.push(name);
+      } else if (
+        (this.instances.has(name) ? this.signatures.get(name) : launchSignature(cur.server, cur.port, this.lock)) !==
+          launchSignature(next, ports.get(name), lock) ||
+        this._isLazy(cur.server) !== this._isLazy(next)
+      ) {
+        toRestart.push(name);
+      }
+    }
+    for (const name of desired.keys()) {
+      if (!current.has(name)) toStart.push(name);
+    }
+
+    Object.assign(this, { servers, profiles, lock, ports });
+
+    await Promise.all([...stopped, ...toRestart].map(name => this._stopServer(name)));
+    await Promise.all([...toStart, ...toRestart].map(name => {
+      this.failures.delete(name);
+      return this._activate(desired.get(name), ports.get(name));
+    }));
+
+    const summary = {
+      stopped,
+      started: toStart.filter(n => this.routes.has(n)),
+      restarted: toRestart.filter(n => this.routes.has(n)),
+      failed: [...toStart, ...toRestart].filter(n => !this.routes.has(n))
+        .map(name => ({ name, error: this.failures.get(name) ?? 'failed to start' })),
+      skipped: [...this.skipped.keys()],
+    };
+    this._writeSettings();
+    this.emit('reload', summary);
+    return summary;
+  }
+
+  // Keep the settings file in step with what the hub serves
+  _writeSettings() {
+    const path = this.options.settingsFile;
+    if (!path) return;
+    // It carries the bearer token: owner-only, even if it already existed
+    writeFileSync(path, this.generateConfig('claude-code'), { mode: 0o600 });
+    chmodSync(path, 0o600);
+    this.emit('settings', { path });
+  }
+
+  // The /_admin controller: the public methods, logged
+  _adminController() {
+    const logged = (action, label, fn) => async (name) => {
+      this._entry(name);
+      this._event('info', 'admin', { server: name, action }, `[ADMIN] ${label} ${name}`);
+      return fn(name);
+    };
+    return {
+      status: () => this.status(),
+      start: logged('start', 'Starting', name => this.startServer(name)),
+      stop: logged('stop', 'Stopping', name => this.stopServer(name)),
+      restart: logged('restart', 'Restarting', name => this.restart(name)),
+      reset: logged('reset', 'Resetting', name => this.reset(name)),
+      logs: (name, lines) => this.logs(name, lines),
+    };
+  }
+}
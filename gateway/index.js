@@ -3,271 +3,551 @@
 // MCP Supergateway Hub
 // =============================================================================
 // Launches multiple MCP stdio servers, each wrapped in a supergateway instance
-// exposing streamableHttp on sequential ports.
+// exposing streamableHttp on an internal port. A single front-door proxy on
+// MCP_PORT routes /<server-name>/mcp to the matching child.
+//
+// The hub itself is the Hub class in hub.js; this is its command line, which
+// loads .env, reads the MCP_* settings and the registry, and prints progress.
 //
 // Usage:
 //   node index.js                    # Start all servers
 //   node index.js --only github,git  # Start specific servers
 //   node index.js --exclude blender  # Start all except listed
-//   node index.js --list             # List all available servers
-//   node index.js --generate         # Generate Claude Code settings.json
+//   node index.js --only tag:databases --exclude tag:paid-api
+//   node index.js --profile dev      # Start a named profile from servers.json
+//   node index.js --list             # List servers by tag, and the profiles
+//   node index.js --generate         # Print Claude Code .claude.json config
+//   node index.js --generate --format cursor --out ~/.cursor/mcp.json
+//   node index.js --generate --client laptop  # ...using a client token
+//   node index.js --watch            # Reload when servers.json or .env change
+//   node index.js --lazy             # Start servers on first request only
+//   node index.js --doctor           # Check secrets, binaries, paths, endpoints
+//   node index.js --env              # Show which variables each server sees
+//   node index.js --policy configured  # Skip servers that fail --doctor checks
+//   node index.js --install          # Pin and install server packages
+//   node index.js --outdated         # Locked vs newest version per server
+//   node index.js --upgrade          # Re-resolve, install and re-lock
+//   node index.js --offline          # Never fetch packages at launch
+//
+// Send SIGHUP to reload the registry and .env without restarting the hub.
 // =============================================================================
 
-import { spawn } from 'child_process';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { getServers } from './servers.js';
+import { readFileSync, writeFileSync, existsSync, watchFile, chmodSync } from 'fs';
+import { Hub, HUB_DEFAULTS } from './hub.js';
+import { readRegistry, RegistryError, DEFAULT_REGISTRY, selectServers, parseSelectors } from './servers.js';
+import { createAuth } from './auth.js';
+import { createEventLog } from './logs.js';
+import { checkServer, formatReport, loadTemplateValues } from './doctor.js';
+import { describeChildEnv } from './env.js';
+import { resolveTls } from './tls.js';
+import { installPackages, packageOf, readLockfile, resolvePackage, writeLockfile } from './packages.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ENV_PATH = resolve(__dirname, '..', '.env');
 
-// Load .env manually
-if (existsSync(ENV_PATH)) {
-  const envContent = readFileSync(ENV_PATH, 'utf-8');
-  for (const line of envContent.split('\n')) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-    const eqIdx = trimmed.indexOf('=');
-    if (eqIdx === -1) continue;
-    const key = trimmed.slice(0, eqIdx).trim();
-    const val = trimmed.slice(eqIdx + 1).trim();
-    if (!process.env[key]) {
-      process.env[key] = val;
+// Load .env manually. Keys that came from the file are remembered so a reload
+// can update or remove them without touching the real environment.
+const envFileKeys = new Set();
+
+function loadEnvFile() {
+  const seen = new Set();
+  if (existsSync(ENV_PATH)) {
+    const envContent = readFileSync(ENV_PATH, 'utf-8');
+    for (const line of envContent.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      const eqIdx = trimmed.indexOf('=');
+      if (eqIdx === -1) continue;
+      const key = trimmed.slice(0, eqIdx).trim();
+      const val = trimmed.slice(eqIdx + 1).trim();
+      if (!process.env[key] || envFileKeys.has(key)) {
+        process.env[key] = val;
+        envFileKeys.add(key);
+        seen.add(key);
+      }
+    }
+  }
+  for (const key of envFileKeys) {
+    if (!seen.has(key)) {
+      delete process.env[key];
+      envFileKeys.delete(key);
     }
   }
 }
 
-const HOST = process.env.MCP_HOST || '0.0.0.0';
-const BASE_PORT = parseInt(process.env.MCP_BASE_PORT || '3170', 10);
-const PUBLIC_HOST = process.env.MCP_PUBLIC_HOST || '192.168.1.7';
+/**
+ * Hub settings from the command line and MCP_* variables (.env loaded).
+ *
+ * @param {string[]} args  process.argv.slice(2)
+ * @param {object} [env]
+ */
+function readSettings(args, env = process.env) {
+  const flagValue = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+  const port = parseInt(env.MCP_PORT || '3100', 10);
+  const publicHost = env.MCP_PUBLIC_HOST || '192.168.1.7';
+  // TLS from MCP_TLS_CERT/MCP_TLS_KEY or a generated self-signed cert (tls.js)
+  const scheme = env.MCP_TLS_CERT || env.MCP_TLS_SELF_SIGNED === '1' ? 'https' : 'http';
+  // Per-server output goes to <MCP_LOG_DIR>/<name>.log ("off" keeps it in
+  // memory only), rotated past MCP_LOG_MAX_SIZE bytes
+  const logDir = env.MCP_LOG_DIR === 'off' ? null : resolve(__dirname, env.MCP_LOG_DIR || 'logs');
+  return {
+    args,
+    flagValue,
+    host: env.MCP_HOST || '0.0.0.0',
+    port,
+    // Children listen on internal loopback ports; only the hub port is reachable
+    basePort: parseInt(env.MCP_BASE_PORT || '3170', 10),
+    publicHost,
+    scheme,
+    // Hub URL as clients reach it, for generated configs
+    publicUrl: `${scheme}://${publicHost}:${port}`,
+    aggregateTtl: parseInt(env.MCP_AGGREGATE_TTL || '300000', 10),
+    portsFile: resolve(__dirname, env.MCP_PORTS_FILE || 'ports.json'),
+    tokensFile: resolve(__dirname, env.MCP_TOKENS_FILE || 'tokens.json'),
+    // Pinned server packages (packages.js)
+    lockfile: resolve(__dirname, env.MCP_LOCKFILE || 'servers.lock.json'),
+    packageDir: resolve(__dirname, env.MCP_PACKAGE_DIR || 'packages'),
+    // Never fetch server packages: launch only what --install put in packageDir
+    offline: args.includes('--offline') || env.MCP_OFFLINE === '1',
+    authDisabled: env.MCP_AUTH_DISABLED === '1',
+    // In lazy mode a server is only spawned when a request arrives, and
+    // stopped again once idle. "alwaysOn": true in the registry pins it.
+    lazy: args.includes('--lazy') || env.MCP_LAZY === '1',
+    idleTimeout: parseInt(env.MCP_IDLE_TIMEOUT || '600', 10),
+    // How long a child gets to pass readiness probing (seconds; registry
+    // "readyTimeout" overrides). Generous because npx/uvx may download first.
+    readyTimeout: parseInt(env.MCP_READY_TIMEOUT || '60', 10),
+    // A child that stays up this long (seconds) resets its respawn count
+    stableUptime: parseInt(env.MCP_STABLE_UPTIME || '60', 10),
+    // Seconds between MCP handshakes with each ready server (0 disables);
+    // two failures in a row recycle it like a crash
+    healthInterval: parseInt(env.MCP_HEALTH_INTERVAL || '30', 10),
+    logDir,
+    logMaxSize: parseInt(env.MCP_LOG_MAX_SIZE || String(10 * 1024 * 1024), 10),
+    logFiles: parseInt(env.MCP_LOG_FILES || '5', 10),
+    logLines: parseInt(env.MCP_LOG_LINES || '1000', 10),
+    // What reaches <name>.log: "error" (errors and the server's stderr),
+    // "info"/"debug" (every message, unredacted) or "none"
+    childLogLevel: env.MCP_CHILD_LOG_LEVEL || 'error',
+    // Every request forwarded to a server, as JSONL; "off" disables it, and it
+    // is off by default when logs are memory-only
+    auditLog: env.MCP_AUDIT_LOG === 'off' ? null
+      : env.MCP_AUDIT_LOG ? resolve(__dirname, env.MCP_AUDIT_LOG)
+        : logDir && resolve(logDir, 'audit.jsonl'),
+    logFormat: env.MCP_LOG_FORMAT === 'json' ? 'json' : 'text',
+    // Startup policy: "all" launches every selected server; "configured"
+    // skips those failing the doctor's static checks (secrets, command,
+    // paths); "reachable" also skips those whose endpoints don't answer
+    startupPolicy: flagValue('--policy') || env.MCP_STARTUP_POLICY || 'all',
+    // Server selection: a named profile from the registry, then --only/--exclude
+    // selectors (names, tag:<tag>, tier:<n>)
+    profile: flagValue('--profile') || env.MCP_PROFILE || null,
+    only: parseSelectors(flagValue('--only')),
+    exclude: parseSelectors(flagValue('--exclude')),
+    watch: args.includes('--watch') || env.MCP_WATCH === '1',
+  };
+}
 
-// Parse CLI args
-const args = process.argv.slice(2);
-const flagIdx = (flag) => args.indexOf(flag);
+// Hub paths a server is reachable at, per its "expose" setting
+const endpoints = (server) => ({
+  streamableHttp: `/${server.name}/mcp`,
+  sse: `/${server.name}/sse`,
+  both: `/${server.name}/mcp, /${server.name}/sse`,
+})[server.expose];
 
-if (args.includes('--list')) {
-  const servers = getServers();
-  console.log(`\nAvailable MCP servers (${servers.length}):\n`);
-  servers.forEach((s, i) => {
-    console.log(`  ${String(i + 1).padStart(2)}. ${s.name.padEnd(22)} ${s.command} ${s.args.join(' ')}`);
-  });
-  process.exit(0);
+function fail(message) {
+  console.error(message);
+  process.exit(1);
 }
 
-if (args.includes('--generate')) {
-  generateSettings();
-  process.exit(0);
+async function main() {
+  loadEnvFile();
+  const settings = readSettings(process.argv.slice(2));
+  const { args, flagValue } = settings;
+
+  // Load the registry; a bad entry stops the hub with a message naming it
+  let registry;
+  try {
+    registry = readRegistry();
+  } catch (err) {
+    if (!(err instanceof RegistryError)) throw err;
+    fail(err.message);
+  }
+  let lock;
+  try {
+    lock = readLockfile(settings.lockfile);
+  } catch (err) {
+    fail(`Error: ${err.message}`);
+  }
+  const auth = createAuth({ apiKey: process.env.MCP_API_KEY, tokensFile: settings.tokensFile });
+  // Example values from .env.template count as unset secrets
+  const templateValues = loadTemplateValues(resolve(__dirname, '..', '.env.template'));
+
+  // The settings that are Hub options, plus what was loaded above
+  const createHub = (extra = {}) => {
+    try {
+      return new Hub({
+        ...registry,
+        ...Object.fromEntries(Object.entries(settings).filter(([key]) => key in HUB_DEFAULTS)),
+        lock,
+        auth: settings.authDisabled ? null : auth,
+        templateValues,
+        eventLog: createEventLog({ format: settings.logFormat }),
+        ...extra,
+      });
+    } catch (err) {
+      return fail(`Error: ${err.message}`);
+    }
+  };
+
+  if (args.includes('--list')) return listServers(createHub(), registry);
+  if (args.includes('--generate')) return generate(createHub(), settings);
+  if (args.includes('--env')) return showEnv(createHub());
+  if (args.includes('--doctor')) return doctor(createHub(), templateValues);
+  if (args.includes('--install') || args.includes('--upgrade')) {
+    return install(createHub(), settings, lock, args.includes('--upgrade'));
+  }
+  if (args.includes('--outdated')) return outdated(createHub(), settings, lock);
+
+  if (!auth.enabled && !settings.authDisabled) {
+    console.error('Refusing to start without authentication.');
+    console.error(`Set MCP_API_KEY in .env, add clients to ${settings.tokensFile},`);
+    console.error('or set MCP_AUTH_DISABLED=1 to run an open hub.');
+    process.exit(1);
+  }
+  let tls;
+  try {
+    tls = resolveTls({ baseDir: __dirname, hosts: [settings.publicHost] });
+  } catch (err) {
+    fail(`Error: TLS: ${err.message}`);
+  }
+  return serve(createHub({ tls, settingsFile: resolve(__dirname, 'claude-settings.json') }), settings);
 }
 
-// Filter servers
-let servers = getServers();
-const onlyIdx = flagIdx('--only');
-const excludeIdx = flagIdx('--exclude');
+function listServers(hub, { servers, profiles }) {
+  console.log(`\nAvailable MCP servers (${servers.filter(s => s.enabled).length} enabled, ${servers.length} total), by tag:`);
+  const tags = [...new Set(servers.flatMap(s => s.tags))];
+  const groups = [
+    ...tags.map(tag => [tag, servers.filter(s => s.tags.includes(tag))]),
+    ['(untagged)', servers.filter(s => !s.tags.length)],
+  ].filter(([, members]) => members.length);
+  for (const [tag, members] of groups) {
+    console.log(`\n  ${tag} (${members.length})`);
+    for (const s of members) {
+      const missing = s.secrets.filter(k => !process.env[k]);
+      const notes = [
+        s.tier !== null ? `tier ${s.tier}` : '',
+        s.enabled ? '' : '[disabled]',
+        missing.length ? `[missing: ${missing.join(', ')}]` : '',
+      ].filter(Boolean).join('  ');
+      console.log(`    ${s.name.padEnd(22)} :${hub.ports.get(s.name)}  ${notes}`.trimEnd());
+    }
+  }
+  const profileNames = Object.keys(profiles);
+  console.log(profileNames.length ? '\nProfiles (--profile <name>):' : '\nNo profiles defined.');
+  for (const name of profileNames) {
+    const profile = profiles[name];
+    const enabled = selectServers(servers, { profile });
+    console.log(`\n  ${name.padEnd(12)} ${profile.description || ''}`.trimEnd());
+    console.log(`  ${''.padEnd(12)} ${enabled.length} servers: ${enabled.map(s => s.name).join(', ')}`);
+  }
+  console.log('');
+}
 
-if (onlyIdx !== -1 && args[onlyIdx + 1]) {
-  const only = new Set(args[onlyIdx + 1].split(','));
-  servers = servers.filter(s => only.has(s.name));
+// --generate [--format f] [--out path|-] [--client c], plus the usual
+// --profile/--only/--exclude; prints to stdout unless --out names a file
+function generate(hub, { flagValue }) {
+  try {
+    const text = hub.generateConfig(flagValue('--format') || 'claude-code', { client: flagValue('--client') });
+    const out = flagValue('--out') || '-';
+    if (out === '-') {
+      process.stdout.write(text);
+    } else {
+      // Generated configs can carry a bearer token
+      writeFileSync(resolve(out), text, { mode: 0o600 });
+      chmodSync(resolve(out), 0o600);
+      console.log(`Written to ${resolve(out)}`);
+    }
+  } catch (err) {
+    fail(`Error: ${err.message}`);
+  }
 }
-if (excludeIdx !== -1 && args[excludeIdx + 1]) {
-  const exclude = new Set(args[excludeIdx + 1].split(','));
-  servers = servers.filter(s => !exclude.has(s.name));
+
+// Which hub variables reach each child; values are never printed
+function showEnv(hub) {
+  const seenBy = new Map();
+  console.log('\nVariables each server receives on top of the base environment (PATH, HOME, locale, …):\n');
+  for (const s of hub.selected()) {
+    const vars = describeChildEnv(s);
+    if (!vars.length) {
+      console.log(`  ${s.name.padEnd(22)} (base environment only)`);
+      continue;
+    }
+    vars.forEach((v, i) => {
+      const origin = v.source === 'passed' ? '(passed through)' : v.from.length ? `<- ${v.from.join(', ')}` : '(literal)';
+      console.log(`  ${(i === 0 ? s.name : '').padEnd(22)} ${v.name} ${origin}${v.secret ? '  [secret]' : ''}`);
+      if (v.secret) {
+        for (const ref of v.source === 'passed' ? [v.name] : v.from) {
+          if (!seenBy.has(ref)) seenBy.set(ref, []);
+          seenBy.get(ref).push(s.name);
+        }
+      }
+    });
+  }
+  if (seenBy.size) {
+    console.log('\nSecrets and the servers that can see them:\n');
+    for (const [name, names] of [...seenBy].sort(([a], [b]) => a.localeCompare(b))) {
+      console.log(`  ${name.padEnd(30)} ${names.join(', ')}`);
+    }
+  }
+  console.log('');
 }
 
-// Launch
-const running = [];
-const failed = [];
-const MAX_RESPAWN = 10;
-const RESPAWN_BASE_DELAY = 2000;
-const RESPAWN_MAX_DELAY = 60000;
-let shuttingDown = false;
-
-function spawnChild(server, port, childEnv) {
-  const stdioCmd = [server.command, ...server.args].join(' ');
-  const sgBin = resolve(__dirname, 'node_modules', '.bin', 'supergateway');
-  const sgArgs = [
-    '--stdio', stdioCmd,
-    '--outputTransport', 'streamableHttp',
-    '--port', String(port),
-    '--cors',
-    '--logLevel', 'none',
-    '--healthEndpoint', '/health',
-  ];
-
-  const child = spawn(sgBin, sgArgs, {
-    env: childEnv,
-    stdio: ['ignore', 'pipe', 'pipe'],
-    detached: false,
-  });
+async function doctor(hub, templateValues) {
+  const selected = hub.selected();
+  console.log(`\nChecking ${selected.length} servers...\n`);
+  const results = await Promise.all(selected.map(s => checkServer(s, { templateValues, network: true })));
+  console.log(formatReport(results));
+  console.log('');
+  process.exitCode = results.some(r => r.verdict === 'fail') ? 1 : 0;
+}
 
-  let stderrBuf = '';
-  child.stderr.on('data', (data) => {
-    stderrBuf += data.toString();
+// --install / --upgrade: pin the selected servers' packages and install them
+async function install(hub, { packageDir, offline, lockfile }, lock, upgrade) {
+  const selected = hub.selected();
+  console.log(`\n${upgrade ? 'Upgrading' : 'Installing'} packages for ${selected.length} servers into ${packageDir}${offline ? ' (offline)' : ''}...\n`);
+  const { lock: next, results } = await installPackages(selected, {
+    lock, dir: packageDir, offline, upgrade,
+    onResult: (r) => {
+      const line = {
+        installed: `[OK] ${r.server.padEnd(22)} ${r.package}@${r.to}`,
+        cached: `[OK] ${r.server.padEnd(22)} ${r.package}@${r.to} (already installed)`,
+        local: `[--] ${r.server.padEnd(22)} not an npx/uvx package; runs as configured`,
+        failed: `[XX] ${r.server.padEnd(22)} ${r.package}: ${r.error}`,
+      }[r.status];
+      console.log(`  ${line}`);
+    },
   });
-
-  return { child, getStderr: () => stderrBuf };
+  // Entries for servers no longer in the registry
+  for (const name of Object.keys(next.servers)) {
+    if (!hub.servers.some(s => s.name === name)) delete next.servers[name];
+  }
+  writeLockfile(lockfile, next);
+  const changed = results.filter(r => r.to && r.from !== r.to);
+  if (changed.length) {
+    console.log('\nChanged versions:\n');
+    for (const r of changed) console.log(`  ${r.server.padEnd(22)} ${r.package}  ${r.from ?? '(unlocked)'} -> ${r.to}`);
+  }
+  const failures = results.filter(r => r.status === 'failed').length;
+  console.log(`\nLockfile: ${lockfile} (${Object.keys(next.servers).length} servers)${failures ? `, ${failures} failed` : ''}`);
+  console.log('A running hub picks up the new versions on SIGHUP or with --watch.\n');
+  process.exitCode = failures ? 1 : 0;
 }
 
-async function launchServer(server, port) {
-  const childEnv = { ...process.env };
-  if (server.env) {
-    for (const [k, v] of Object.entries(server.env)) {
-      if (v !== undefined && v !== null) {
-        childEnv[k] = String(v);
-      }
+// --outdated: locked version vs the newest each registry entry allows
+async function outdated(hub, { offline }, lock) {
+  const rows = [];
+  for (const s of hub.selected()) {
+    const pkg = packageOf(s);
+    if (!pkg) continue;
+    const locked = lock.servers[s.name]?.package === pkg.name ? lock.servers[s.name].version : null;
+    try {
+      const { version } = await resolvePackage(pkg, { offline });
+      if (locked !== version) rows.push([s.name, pkg.name, locked ?? '(unlocked)', version]);
+    } catch (err) {
+      rows.push([s.name, pkg.name, locked ?? '(unlocked)', `? ${err.message}`]);
     }
   }
+  if (!rows.length) {
+    console.log('\nEvery locked package is up to date.\n');
+    return;
+  }
+  const width = (i) => Math.max(...rows.map(r => r[i].length), ['Server', 'Package', 'Locked'][i].length);
+  const format = (r) => `  ${r[0].padEnd(width(0))}  ${r[1].padEnd(width(1))}  ${r[2].padEnd(width(2))}  ${r[3]}`;
+  console.log(`\n${format(['Server', 'Package', 'Locked', 'Available'])}`);
+  rows.forEach(r => console.log(format(r)));
+  console.log('\nRun --upgrade (with --only to pick servers) to install and lock these.\n');
+  process.exitCode = 1;
+}
 
-  let respawnCount = 0;
-
-  function respawn() {
-    if (shuttingDown) return;
-    const { child, getStderr } = spawnChild(server, port, childEnv);
-
-    child.on('error', (err) => {
-      if (!shuttingDown) {
-        console.error(`[ERROR] ${server.name} (port ${port}): ${err.message}`);
-      }
-    });
+// The hub keeps this Claude Code config in step with what it serves
+function settingsHint(path) {
+  console.log(`  Claude Code settings written to: ${path}`);
+  console.log(`  Copy the mcpServers block into your project's .claude.json,`);
+  console.log(`  or fetch another client's config from /_clients/<format>`);
+  console.log('');
+}
 
-    child.on('exit', (code) => {
-      if (shuttingDown) return;
-      if (respawnCount < MAX_RESPAWN) {
-        respawnCount++;
-        const delay = Math.min(RESPAWN_BASE_DELAY * Math.pow(2, respawnCount - 1), RESPAWN_MAX_DELAY);
-        console.error(`[DIED] ${server.name} (port ${port}) exited with code ${code}, respawning in ${Math.round(delay / 1000)}s (${respawnCount}/${MAX_RESPAWN})`);
-        const stderr = getStderr().trim();
-        if (stderr) {
-          console.error(`  ${stderr.split('\n').slice(-3).join('\n  ')}`);
-        }
-        setTimeout(respawn, delay);
-      } else {
-        console.error(`[DEAD] ${server.name} (port ${port}) exceeded ${MAX_RESPAWN} respawns, giving up`);
-      }
-    });
+// Re-read .env, the registry and the lockfile, and have the hub converge on
+// them: start new entries, stop removed ones, restart changed ones
+function reload(hub, settings, reason) {
+  console.log(`\n[RELOAD] ${reason}`);
+  loadEnvFile();
+  let next;
+  try {
+    next = { ...readRegistry(), lock: readLockfile(settings.lockfile) };
+  } catch (err) {
+    console.error(`[RELOAD] Keeping current servers: ${err.message}`);
+    return;
   }
+  hub.reload(next).then((summary) => {
+    const describe = (label, names) => {
+      if (names.length) console.log(`  ${label.padEnd(10)} ${names.join(', ')}`);
+    };
+    describe('Stopped:', summary.stopped);
+    describe('Started:', summary.started);
+    describe('Restarted:', summary.restarted);
+    describe('Failed:', summary.failed.map(f => f.name));
+    describe('Skipped:', summary.skipped);
+    if (!summary.stopped.length && !summary.started.length && !summary.restarted.length && !summary.failed.length) {
+      console.log('  No changes');
+    }
+    for (const f of summary.failed) console.log(`  [XX] ${f.name.padEnd(22)} -> ${f.error}`);
+    settingsHint(hub.options.settingsFile);
+  }, (err) => {
+    console.error(`[RELOAD] Keeping current servers: ${err.message}`);
+  });
+}
 
-  // Initial launch with startup detection
-  return new Promise((resolvePromise) => {
-    const { child, getStderr } = spawnChild(server, port, childEnv);
+// Graceful shutdown: stop accepting requests, then SIGTERM every child's
+// process group and wait for all of them to exit (SIGKILL after the grace
+// period). A second signal, or the hard timeout, exits immediately.
+const SHUTDOWN_TIMEOUT = 15000;
 
-    let started = false;
-    const timeout = setTimeout(() => {
-      if (!started) {
-        started = true;
-        running.push({ name: server.name, port, pid: child.pid });
-        resolvePromise(true);
-      }
-    }, 5000);
-
-    child.on('error', (err) => {
-      if (!started) {
-        started = true;
-        clearTimeout(timeout);
-        failed.push({ name: server.name, error: err.message });
-        resolvePromise(false);
-      }
-    });
+async function serve(hub, settings) {
+  const { host, port, scheme, publicUrl } = settings;
+  const { tls } = hub;
 
-    child.on('exit', (code) => {
-      if (!started) {
-        started = true;
-        clearTimeout(timeout);
-        if (code !== 0) {
-          const stderr = getStderr().trim();
-          const errMsg = stderr ? `exit code ${code}: ${stderr.split('\n').slice(-3).join(' | ')}` : `exit code ${code}`;
-          failed.push({ name: server.name, error: errMsg });
-          resolvePromise(false);
-        }
-      } else if (!shuttingDown) {
-        respawnCount++;
-        const delay = RESPAWN_BASE_DELAY;
-        console.error(`[DIED] ${server.name} (port ${port}) exited with code ${code}, respawning in ${Math.round(delay / 1000)}s (${respawnCount}/${MAX_RESPAWN})`);
-        const stderr = getStderr().trim();
-        if (stderr) {
-          console.error(`  ${stderr.split('\n').slice(-3).join('\n  ')}`);
-        }
-        setTimeout(respawn, delay);
-      }
-    });
-  });
-}
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      console.error(`${signal} received again, exiting without waiting`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`\n${signal} received, shutting down all gateways...`);
+    setTimeout(() => {
+      console.error(`Children still running after ${SHUTDOWN_TIMEOUT / 1000}s, exiting anyway`);
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT).unref();
+    const names = await hub.stop();
+    console.log(`Stopped ${names.length} gateway(s).`);
+    process.exit(0);
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+
+  // Registered before launching, so a SIGHUP during a slow startup doesn't
+  // kill the hub; it is held until every server has settled
+  let launched = false;
+  let hupPending = false;
+  const onHup = () => {
+    if (!launched) {
+      if (!hupPending) console.log('[RELOAD] SIGHUP received, reloading once startup finishes');
+      hupPending = true;
+      return;
+    }
+    hub.reloadTls();
+    reload(hub, settings, 'SIGHUP received');
+  };
+  process.on('SIGHUP', onHup);
 
-async function main() {
   console.log('');
   console.log('==============================================');
   console.log('  MCP Supergateway Hub');
   console.log('==============================================');
-  console.log(`  Launching ${servers.length} servers on ports ${BASE_PORT}-${BASE_PORT + servers.length - 1}`);
+  if (settings.profile) console.log(`  Profile: ${settings.profile}`);
+  const selected = hub.selected();
+  console.log(`  Launching ${selected.length} servers (internal ports from ${settings.portsFile})`);
   console.log('');
-
-  // Launch in batches to avoid overwhelming the system
-  const BATCH_SIZE = 10;
-  for (let i = 0; i < servers.length; i += BATCH_SIZE) {
-    const batch = servers.slice(i, i + BATCH_SIZE);
-    const promises = batch.map((server, j) => {
-      const port = BASE_PORT + i + j;
-      return launchServer(server, port);
-    });
-    await Promise.all(promises);
-
-    // Print batch progress
-    for (const server of batch) {
-      const r = running.find(x => x.name === server.name);
-      const f = failed.find(x => x.name === server.name);
-      if (r) {
-        console.log(`  [OK] ${server.name.padEnd(22)} -> port ${r.port}`);
-      } else if (f) {
-        console.log(`  [XX] ${server.name.padEnd(22)} -> ${f.error}`);
+  if (tls?.generated) console.log(`  Generated a self-signed certificate: ${tls.cert}`);
+
+  // Progress: one line per server as it settles
+  const byName = new Map(selected.map(s => [s.name, s]));
+  const reported = new Set();
+  const progress = {
+    skipped: ({ server, reason }) => console.log(`  [--] ${server.padEnd(22)} -> skipped: ${reason}`),
+    ready: ({ server, port: p, state, tools, error }) => {
+      if (reported.has(server)) return;
+      reported.add(server);
+      if (state === 'degraded') {
+        console.log(`  [!!] ${server.padEnd(22)} -> ${endpoints(byName.get(server))} (port ${p}) degraded: ${error}`);
+      } else {
+        console.log(`  [OK] ${server.padEnd(22)} -> ${endpoints(byName.get(server))} (port ${p}, ${tools ?? 0} tools)`);
       }
-    }
+    },
+    failed: ({ server, error }) => {
+      if (reported.has(server)) return;
+      reported.add(server);
+      console.log(`  [XX] ${server.padEnd(22)} -> ${error}`);
+    },
+  };
+  for (const [event, listener] of Object.entries(progress)) hub.on(event, listener);
+  let summary;
+  try {
+    summary = await hub.start();
+  } catch (err) {
+    fail(`Error: ${err.message}`);
   }
+  for (const [event, listener] of Object.entries(progress)) hub.off(event, listener);
 
+  const { started, failed, lazy, skipped } = summary;
+  if (settings.lazy) {
+    console.log(`  ${lazy.length} lazy servers start on demand (idle timeout ${settings.idleTimeout}s)`);
+  }
   console.log('');
   console.log('==============================================');
-  console.log(`  Started: ${running.length}/${servers.length}`);
+  console.log(`  Started: ${started.length}/${started.length + failed.length}${lazy.length ? ` (+${lazy.length} on demand)` : ''}`);
+  const degraded = hub.status().filter(s => s.state === 'degraded').length;
+  if (degraded > 0) {
+    console.log(`  Degraded: ${degraded}`);
+  }
+  console.log(`  Hub:     ${scheme}://${host}:${port}/<server>/mcp`);
+  console.log(`  Auth:    ${hub.auth ? 'bearer token required' : 'DISABLED'}`);
+  console.log(`  Admin:   ${scheme}://${host}:${port}/_admin/`);
+  console.log(`  Metrics: ${scheme}://${host}:${port}/metrics`);
+  if (tls) {
+    console.log(`  TLS:     ${tls.cert}${tls.ca ? ' (client certificates required)' : ''}`);
+  }
+  console.log(`  Configs: ${publicUrl}/_clients/<format>`);
+  console.log(`  Audit:   ${hub.audit ? hub.audit.path : 'off'}`);
+  const packaged = selected.filter(s => !skipped.some(x => x.name === s.name) && packageOf(s));
+  if (packaged.length) {
+    const pinned = packaged.filter(s => hub.lock.servers[s.name]).length;
+    console.log(`  Packages: ${pinned}/${packaged.length} locked${settings.offline ? ', offline' : ''}`);
+  }
   if (failed.length > 0) {
     console.log(`  Failed:  ${failed.length}`);
   }
+  if (skipped.length > 0) {
+    console.log(`  Skipped: ${skipped.length} (startup policy "${settings.startupPolicy}", see --doctor)`);
+  }
   console.log('==============================================');
   console.log('');
 
-  // Generate settings
-  generateSettings(running);
-
-  console.log('Press Ctrl+C to stop all servers.');
-  console.log('');
-}
-
-function generateSettings(activeServers) {
-  const servers = activeServers || getServers().map((s, i) => ({
-    name: s.name,
-    port: BASE_PORT + i,
-  }));
+  settingsHint(hub.options.settingsFile);
 
-  const mcpServers = {};
-  for (const s of servers) {
-    mcpServers[s.name] = {
-      url: `http://${PUBLIC_HOST}:${s.port}/mcp`,
+  if (settings.watch) {
+    let debounce = null;
+    const onChange = (label) => (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      clearTimeout(debounce);
+      debounce = setTimeout(() => reload(hub, settings, `${label} changed`), 500);
     };
+    const registryPath = resolve(__dirname, process.env.MCP_REGISTRY || DEFAULT_REGISTRY);
+    watchFile(registryPath, { interval: 2000 }, onChange(registryPath));
+    watchFile(ENV_PATH, { interval: 2000 }, onChange(ENV_PATH));
+    watchFile(settings.lockfile, { interval: 2000 }, onChange(settings.lockfile));
+    console.log('Watching the registry, .env and lockfile for changes.');
   }
 
-  const settings = { mcpServers };
-  const outPath = resolve(__dirname, 'claude-settings.json');
-  writeFileSync(outPath, JSON.stringify(settings, null, 2) + '\n');
-  console.log(`  Claude Code settings written to: ${outPath}`);
-  console.log(`  Copy the mcpServers block into ~/.claude/settings.json`);
+  console.log('Press Ctrl+C to stop all servers.');
   console.log('');
-}
-
-// Graceful shutdown
-process.on('SIGTERM', shutdown);
-process.on('SIGINT', shutdown);
 
-function shutdown() {
-  shuttingDown = true;
-  console.log('\nShutting down all gateways...');
-  process.exit(0);
+  launched = true;
+  if (hupPending) onHup();
 }
 
 main().catch(err => {
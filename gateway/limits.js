@@ -0,0 +1,117 @@
+// =============================================================================
+// Resource Limits and Privilege Separation
+// =============================================================================
+// Optional per-server settings from the registry:
+//
+//   "limits": {
+//     "memory": 1024,        MB of RSS for the whole process group; the
+//                            supervisor kills the group when it goes over
+//     "cpuSecondsPerProcess": 300,
+//                            CPU time of each process (ulimit -t)
+//     "openFiles": 1024,     open file descriptors per process (ulimit -n)
+//     "nice": 10             scheduling priority, -20 (high) … 19 (low)
+//   },
+//   "cwd": "/srv/manim",     working directory
+//   "user": "mcp-browser",   run as this user (name or uid) …
+//   "group": "mcp-browser",  … and group (name or gid); the hub must be root
+//   "privateTmp": true       fresh 0700 TMPDIR per spawn, removed on exit
+//
+// cpuSecondsPerProcess and openFiles are applied with ulimit in the shell
+// supergateway starts the stdio server from. supergateway spawns that shell
+// per request in stateless mode, so they bound each invocation of the wrapped
+// server: a runaway request is killed with SIGXCPU, but there is no CPU quota
+// for the server as a whole (nice lowers its share instead).
+//
+// memory is checked by sampling /proc every few seconds (the hub's watchdog),
+// so a spike shorter than that can go unnoticed.
+// =============================================================================
+
+import { readFileSync } from 'fs';
+
+const MB = 1024 * 1024;
+
+// Old names, with what the limit does under its new one
+const RENAMED = {
+  cpuSeconds: ['cpuSecondsPerProcess', "it caps each process's CPU time (ulimit -t), not the server's"],
+};
+
+export const LIMIT_FIELDS = {
+  memory: { min: 1, integer: false },
+  cpuSecondsPerProcess: { min: 1, integer: true },
+  openFiles: { min: 1, integer: true },
+  nice: { min: -20, max: 19, integer: true },
+};
+
+/**
+ * Validate a registry "limits" object; returns problem strings.
+ *
+ * @param {object} limits
+ * @param {string} label  Entry label for messages
+ */
+export function validateLimits(limits, label) {
+  const problems = [];
+  for (const [key, value] of Object.entries(limits)) {
+    const spec = LIMIT_FIELDS[key];
+    if (RENAMED[key]) {
+      const [name, why] = RENAMED[key];
+      problems.push(`${label}: limits.${key} is now limits.${name}: ${why}`);
+      continue;
+    }
+    if (!spec) {
+      problems.push(`${label}: unknown limit "${key}" (use ${Object.keys(LIMIT_FIELDS).join(', ')})`);
+      continue;
+    }
+    const inRange = typeof value === 'number' && value >= spec.min && (spec.max === undefined || value <= spec.max);
+    if (!inRange || (spec.integer && !Number.isInteger(value))) {
+      const range = spec.max === undefined ? `>= ${spec.min}` : `between ${spec.min} and ${spec.max}`;
+      problems.push(`${label}: limits.${key} must be ${spec.integer ? 'an integer' : 'a number'} ${range}`);
+    }
+  }
+  return problems;
+}
+
+export const memoryLimitBytes = (limits) => (limits.memory ? limits.memory * MB : null);
+
+// Prefix the stdio command with the ulimits the shell should apply
+export function limitCommand(stdioCmd, limits) {
+  const ulimits = [];
+  if (limits.cpuSecondsPerProcess) ulimits.push(`ulimit -t ${limits.cpuSecondsPerProcess}`);
+  if (limits.openFiles) ulimits.push(`ulimit -n ${limits.openFiles}`);
+  return ulimits.length ? `${ulimits.join('; ')}; exec ${stdioCmd}` : stdioCmd;
+}
+
+// Rows of a passwd(5)/group(5) style file
+function readDb(path) {
+  try {
+    return readFileSync(path, 'utf-8').split('\n').filter(Boolean).map(line => line.split(':'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Resolve a server's "user"/"group" to numeric ids. The user's home becomes
+ * the child's HOME so npx/uvx caches land somewhere it can write.
+ *
+ * @returns {{uid?: number, gid?: number, home?: string, name?: string}}
+ * @throws {Error} for an unknown user or group
+ */
+export function resolveIds({ user, group }) {
+  const ids = {};
+  if (user) {
+    const row = readDb('/etc/passwd').find(r => r[0] === user || r[2] === user);
+    if (!row && !/^\d+$/.test(user)) throw new Error(`unknown user "${user}"`);
+    ids.uid = Number(row ? row[2] : user);
+    if (row) {
+      ids.gid = Number(row[3]);
+      ids.home = row[5];
+      ids.name = row[0];
+    }
+  }
+  if (group) {
+    const row = readDb('/etc/group').find(r => r[0] === group || r[2] === group);
+    if (!row && !/^\d+$/.test(group)) throw new Error(`unknown group "${group}"`);
+    ids.gid = Number(row ? row[2] : group);
+  }
+  return ids;
+}
@@ -0,0 +1,196 @@
+// =============================================================================
+// Log Capture
+// =============================================================================
+// Per-server output and the hub's own event stream.
+//
+//   createServerLog  Tees a child's stdout/stderr, line by line, into
+//                    <dir>/<name>.log (rotated by size to <name>.log.1 … .N)
+//                    and a bounded ring buffer of recent lines that the admin
+//                    API serves. One per server, kept across respawns.
+//
+//   createEventLog   Hub events (spawn, ready, exit, respawn, …). Text mode
+//                    prints the usual console lines; JSON mode writes one
+//                    object per line with server, port and pid on each, for
+//                    shipping to a log stack.
+// =============================================================================
+
+import { createWriteStream, mkdirSync, renameSync, statSync, rmSync } from 'fs';
+import { join } from 'path';
+
+// Fixed-capacity FIFO; pushing past capacity drops the oldest entry
+export class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  push(item) {
+    this.items[(this.start + this.size) % this.capacity] = item;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  toArray() {
+    const out = [];
+    for (let i = 0; i < this.size; i++) out.push(this.items[(this.start + i) % this.capacity]);
+    return out;
+  }
+}
+
+// Append-only file that rolls over to path.1 … path.<keep> past maxBytes.
+// Owner-only, like the audit log: servers print what they are given.
+class RotatingFile {
+  constructor(path, { maxBytes, keep }) {
+    this.path = path;
+    this.maxBytes = maxBytes;
+    this.keep = keep;
+    try {
+      this.bytes = statSync(path).size;
+    } catch {
+      this.bytes = 0;
+    }
+    this.open();
+  }
+
+  open() {
+    this.stream = createWriteStream(this.path, { flags: 'a', mode: 0o600 });
+    this.stream.on('error', (err) => {
+      console.error(`[LOG] Cannot write ${this.path}: ${err.message}`);
+    });
+  }
+
+  write(text) {
+    if (this.bytes > 0 && this.bytes + Buffer.byteLength(text) > this.maxBytes) this.rotate();
+    this.stream.write(text);
+    this.bytes += Buffer.byteLength(text);
+  }
+
+  rotate() {
+    // The old stream keeps its fd, so buffered writes land in the renamed file
+    this.stream.end();
+    rmSync(`${this.path}.${this.keep}`, { force: true });
+    for (let i = this.keep - 1; i >= 1; i--) {
+      try {
+        renameSync(`${this.path}.${i}`, `${this.path}.${i + 1}`);
+      } catch {
+        // gap in the sequence
+      }
+    }
+    if (this.keep > 0) {
+      renameSync(this.path, `${this.path}.1`);
+    } else {
+      rmSync(this.path, { force: true });
+    }
+    this.bytes = 0;
+    this.open();
+  }
+
+  close() {
+    return new Promise(resolvePromise => this.stream.end(resolvePromise));
+  }
+}
+
+/**
+ * Capture one server's output.
+ *
+ * @param {string} name
+ * @param {object} opts
+ * @param {string|null} opts.dir   Log directory, or null for memory only
+ * @param {number} opts.maxBytes   Rotate the file past this size
+ * @param {number} opts.keep       Rotated files to keep
+ * @param {number} opts.lines      Ring buffer capacity
+ */
+export function createServerLog(name, { dir, maxBytes, keep, lines }) {
+  const ring = new RingBuffer(lines);
+  let file = null;
+  if (dir) {
+    mkdirSync(dir, { recursive: true });
+    file = new RotatingFile(join(dir, `${name}.log`), { maxBytes, keep });
+  }
+  // Chunks don't respect line boundaries; hold the unterminated tail per stream
+  const partial = { stdout: '', stderr: '' };
+
+  function addLine(stream, line) {
+    ring.push({ stream, line });
+    file?.write(`${new Date().toISOString()} ${stream} ${line}\n`);
+  }
+
+  return {
+    path: file?.path ?? null,
+
+    write(stream, chunk) {
+      const text = partial[stream] + chunk.toString();
+      const parts = text.split('\n');
+      partial[stream] = parts.pop();
+      for (const line of parts) addLine(stream, line.replace(/\r$/, ''));
+    },
+
+    // Mark a (re)spawn so the tail shows where each child's output begins
+    marker(text) {
+      for (const stream of ['stdout', 'stderr']) {
+        if (partial[stream]) addLine(stream, partial[stream]);
+        partial[stream] = '';
+      }
+      addLine('hub', text);
+    },
+
+    /**
+     * The most recent lines, oldest first.
+     *
+     * @param {number} count
+     * @param {string} [stream]  Only lines from 'stdout' or 'stderr'
+     */
+    tail(count, stream) {
+      let entries = ring.toArray();
+      if (stream) entries = entries.filter(e => e.stream === stream);
+      return entries.slice(-count).map(e => e.line);
+    },
+
+    // Flush any unterminated lines; resolves once the file is written
+    close() {
+      for (const stream of ['stdout', 'stderr']) {
+        if (partial[stream]) addLine(stream, partial[stream]);
+        partial[stream] = '';
+      }
+      return file ? file.close() : Promise.resolve();
+    },
+  };
+}
+
+/**
+ * Create the hub event logger.
+ *
+ * @param {object} opts
+ * @param {'text'|'json'} opts.format
+ */
+export function createEventLog({ format = 'text' } = {}) {
+  const json = format === 'json';
+  return {
+    json,
+
+    /**
+     * @param {'info'|'warn'|'error'} level
+     * @param {string} event    spawn, ready, exit, respawn, …
+     * @param {object} fields   server, port, pid, and event details
+     * @param {string} [text]   Console line for text mode (omitted: silent)
+     */
+    event(level, event, fields, text) {
+      if (json) {
+        process.stdout.write(JSON.stringify({
+          time: new Date().toISOString(),
+          level,
+          event,
+          ...fields,
+          ...(text ? { message: text } : {}),
+        }) + '\n');
+      } else if (text) {
+        (level === 'info' ? console.log : console.error)(text);
+      }
+    },
+  };
+}
@@ -0,0 +1,20 @@
+// =============================================================================
+// Loopback Preload
+// =============================================================================
+// Loaded into each supergateway child with `node --require`. Supergateway has
+// no bind-address option and listens on every interface; this forces its HTTP
+// server onto 127.0.0.1 so children are only reachable through the hub proxy,
+// where authentication is enforced.
+// =============================================================================
+
+const net = require('net');
+
+const listen = net.Server.prototype.listen;
+
+net.Server.prototype.listen = function (...args) {
+  // listen(port[, cb]) — no host given, so pin it to loopback
+  if (typeof args[0] === 'number' && typeof args[1] !== 'string') {
+    args.splice(1, 0, '127.0.0.1');
+  }
+  return listen.apply(this, args);
+};
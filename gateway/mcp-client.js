@@ -0,0 +1,110 @@
+// =============================================================================
+// Minimal MCP Client
+// =============================================================================
+// Just enough of the streamableHttp client side for the hub to talk to its own
+// children: POST one JSON-RPC request and read the matching response, whether
+// the child answers with plain JSON or a short SSE stream.
+// =============================================================================
+
+import http from 'http';
+
+const DEFAULT_TIMEOUT = 30000;
+let nextId = 1;
+
+export class McpError extends Error {
+  constructor(message, code = -32603, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Pull JSON-RPC messages out of a text/event-stream body
+function parseSse(body) {
+  const messages = [];
+  for (const block of body.split(/\r?\n\r?\n/)) {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+    if (!data) continue;
+    try {
+      messages.push(JSON.parse(data));
+    } catch {
+      // Ignore keep-alive or malformed events
+    }
+  }
+  return messages;
+}
+
+/**
+ * Send a JSON-RPC request to a child's streamableHttp endpoint and resolve
+ * with its `result`. Rejects with McpError on JSON-RPC errors, HTTP errors
+ * and timeouts.
+ *
+ * @param {number} port      Child port on 127.0.0.1
+ * @param {string} method    JSON-RPC method
+ * @param {object} [params]
+ * @param {object} [opts]
+ * @param {?number} [opts.timeout]  Milliseconds (default 30s); null waits
+ *   for as long as the child takes
+ * @param {string} [opts.path]  Endpoint path (default /mcp)
+ */
+export function mcpRequest(port, method, params, opts = {}) {
+  const id = nextId++;
+  const payload = JSON.stringify({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) });
+  const timeout = opts.timeout === null ? null : opts.timeout || DEFAULT_TIMEOUT;
+
+  return new Promise((resolvePromise, rejectPromise) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method: 'POST',
+      path: opts.path || '/mcp',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'Content-Length': Buffer.byteLength(payload),
+      },
+    }, (res) => {
+      let body = '';
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 400 && !body.trim().startsWith('{')) {
+          rejectPromise(new McpError(`HTTP ${res.statusCode} from ${method}`));
+          return;
+        }
+        let messages;
+        try {
+          messages = String(res.headers['content-type'] || '').startsWith('text/event-stream')
+            ? parseSse(body)
+            : [JSON.parse(body)].flat();
+        } catch {
+          rejectPromise(new McpError(`Invalid response to ${method}`));
+          return;
+        }
+        const msg = messages.find(m => m && m.id === id);
+        if (!msg) {
+          rejectPromise(new McpError(`No response to ${method}`));
+        } else if (msg.error) {
+          rejectPromise(new McpError(msg.error.message, msg.error.code, msg.error.data));
+        } else {
+          resolvePromise(msg.result);
+        }
+      });
+    });
+
+    if (timeout) {
+      req.setTimeout(timeout, () => {
+        req.destroy(new McpError(`${method} timed out after ${timeout}ms`));
+      });
+    }
+    req.on('error', (err) => {
+      rejectPromise(err instanceof McpError ? err : new McpError(err.message));
+    });
+    req.end(payload);
+  });
+}
@@ -0,0 +1,174 @@
+// =============================================================================
+// Prometheus Metrics
+// =============================================================================
+// Served by the hub proxy at /metrics in the Prometheus text format (admin
+// credential required). Server gauges come from the same status snapshot the
+// admin API uses; request metrics are recorded by the proxy and the
+// aggregated endpoint as calls pass through.
+//
+//   mcp_hub_server_state{server,state}            1 for the current state
+//   mcp_hub_server_restarts_total{server}
+//   mcp_hub_server_uptime_seconds{server}
+//   mcp_hub_server_memory_rss_bytes{server}       whole process group
+//   mcp_hub_server_cpu_seconds_total{server}      whole process group
+//   mcp_hub_requests_total{server,method,tool,outcome}
+//   mcp_hub_request_duration_seconds{server,method,tool}   histogram
+//
+// Child usage is read from /proc (Linux); elsewhere those two series are
+// simply absent.
+// =============================================================================
+
+import { groupUsage } from './proc.js';
+
+const STATES = ['starting', 'ready', 'degraded', 'respawning', 'failed', 'dead', 'idle', 'stopped', 'unconfigured', 'disabled'];
+// Client-to-server MCP methods; any other method is labelled "other"
+const METHODS = new Set([
+  'initialize', 'ping', 'logging/setLevel', 'completion/complete',
+  'tools/list', 'tools/call', 'prompts/list', 'prompts/get',
+  'resources/list', 'resources/templates/list', 'resources/read', 'resources/subscribe', 'resources/unsubscribe',
+  'notifications/initialized', 'notifications/cancelled', 'notifications/progress', 'notifications/roots/list_changed',
+]);
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labels(obj) {
+  const parts = Object.entries(obj).map(([k, v]) => `${k}="${escape(v ?? '')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Create the metrics registry.
+ *
+ * @param {object} opts
+ * @param {() => object[]} opts.status  Per-server snapshot (admin status)
+ */
+export function createMetrics({ status }) {
+  // key → { labels, count } and key → { labels, buckets, sum, count }
+  const counters = new Map();
+  const histograms = new Map();
+  // server → tools it has listed; calls to any other name are labelled
+  // "other", so clients cannot mint label values
+  const listedTools = new Map();
+
+  /**
+   * Remember the tools a server listed (one page or all of them).
+   *
+   * @param {string} server
+   * @param {string[]} names
+   */
+  function listed(server, names) {
+    if (!listedTools.has(server)) listedTools.set(server, new Set());
+    for (const name of names) {
+      if (typeof name === 'string') listedTools.get(server).add(name);
+    }
+  }
+
+  /**
+   * Record one MCP request.
+   *
+   * @param {object} l
+   * @param {string} l.server
+   * @param {string} l.method   JSON-RPC method, "batch" or "unknown"
+   * @param {string} [l.tool]   Tool name for tools/call; "other" unless listed
+   * @param {'ok'|'error'} l.outcome
+   * @param {number} seconds
+   */
+  function observe({ server, method, tool = '', outcome }, seconds) {
+    if (tool && !listedTools.get(server)?.has(tool)) tool = 'other';
+    const counterLabels = { server, method, tool, outcome };
+    const ckey = JSON.stringify(counterLabels);
+    const counter = counters.get(ckey) || { labels: counterLabels, count: 0 };
+    counter.count++;
+    counters.set(ckey, counter);
+
+    const histLabels = { server, method, tool };
+    const hkey = JSON.stringify(histLabels);
+    let hist = histograms.get(hkey);
+    if (!hist) {
+      hist = { labels: histLabels, buckets: BUCKETS.map(() => 0), sum: 0, count: 0 };
+      histograms.set(hkey, hist);
+    }
+    BUCKETS.forEach((le, i) => {
+      if (seconds <= le) hist.buckets[i]++;
+    });
+    hist.sum += seconds;
+    hist.count++;
+  }
+
+  function render() {
+    const servers = status();
+    const usage = groupUsage();
+    const out = [];
+    const metric = (name, type, help) => out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+    metric('mcp_hub_server_state', 'gauge', 'Current server state (1 for the active state).');
+    for (const s of servers) {
+      for (const state of STATES) {
+        out.push(`mcp_hub_server_state${labels({ server: s.name, state })} ${s.state === state ? 1 : 0}`);
+      }
+    }
+    metric('mcp_hub_server_restarts_total', 'counter', 'Respawns since the server was last started.');
+    for (const s of servers) out.push(`mcp_hub_server_restarts_total${labels({ server: s.name })} ${s.restarts ?? 0}`);
+
+    metric('mcp_hub_server_uptime_seconds', 'gauge', 'Seconds since the current child was spawned.');
+    for (const s of servers) {
+      if (s.uptime != null) out.push(`mcp_hub_server_uptime_seconds${labels({ server: s.name })} ${s.uptime}`);
+    }
+
+    metric('mcp_hub_server_memory_rss_bytes', 'gauge', 'Resident memory of the child and its descendants.');
+    for (const s of servers) {
+      const u = s.pid && usage.get(s.pid);
+      if (u) out.push(`mcp_hub_server_memory_rss_bytes${labels({ server: s.name })} ${u.rss}`);
+    }
+    metric('mcp_hub_server_cpu_seconds_total', 'counter', 'CPU time of the child and its live descendants.');
+    for (const s of servers) {
+      const u = s.pid && usage.get(s.pid);
+      if (u) out.push(`mcp_hub_server_cpu_seconds_total${labels({ server: s.name })} ${u.cpu.toFixed(2)}`);
+    }
+
+    metric('mcp_hub_requests_total', 'counter', 'MCP requests passed through the hub.');
+    for (const c of counters.values()) out.push(`mcp_hub_requests_total${labels(c.labels)} ${c.count}`);
+
+    metric('mcp_hub_request_duration_seconds', 'histogram', 'MCP request latency through the hub.');
+    for (const h of histograms.values()) {
+      BUCKETS.forEach((le, i) => {
+        out.push(`mcp_hub_request_duration_seconds_bucket${labels({ ...h.labels, le })} ${h.buckets[i]}`);
+      });
+      out.push(`mcp_hub_request_duration_seconds_bucket${labels({ ...h.labels, le: '+Inf' })} ${h.count}`);
+      out.push(`mcp_hub_request_duration_seconds_sum${labels(h.labels)} ${h.sum.toFixed(6)}`);
+      out.push(`mcp_hub_request_duration_seconds_count${labels(h.labels)} ${h.count}`);
+    }
+
+    const mem = process.memoryUsage();
+    const cpu = process.cpuUsage();
+    metric('mcp_hub_process_resident_memory_bytes', 'gauge', 'Resident memory of the hub process.');
+    out.push(`mcp_hub_process_resident_memory_bytes ${mem.rss}`);
+    metric('mcp_hub_process_cpu_seconds_total', 'counter', 'CPU time of the hub process.');
+    out.push(`mcp_hub_process_cpu_seconds_total ${((cpu.user + cpu.system) / 1e6).toFixed(2)}`);
+
+    return out.join('\n') + '\n';
+  }
+
+  return { observe, listed, render };
+}
+
+/**
+ * Label a JSON-RPC request body for metrics: its method ("other" unless it
+ * is an MCP method), and the tool name for tools/call. Batches are labelled
+ * "batch".
+ */
+export function describeRpc(body) {
+  let msg;
+  try {
+    msg = JSON.parse(body);
+  } catch {
+    return { method: 'unknown' };
+  }
+  if (Array.isArray(msg)) return { method: 'batch' };
+  if (typeof msg?.method !== 'string') return { method: 'unknown' };
+  return {
+    method: METHODS.has(msg.method) ? msg.method : 'other',
+    tool: msg.method === 'tools/call' && typeof msg.params?.name === 'string' ? msg.params.name : '',
+  };
+}
@@ -0,0 +1,311 @@
+// =============================================================================
+// Server Packages
+// =============================================================================
+// Pins the npm and PyPI packages behind `npx -y <pkg>` and `uvx <pkg>` entries,
+// so a respawn can't pick up a new upstream release and boot doesn't need the
+// network:
+//
+//   node index.js --install    resolve each server's package to an exact
+//                              version, install it under packages/ and record
+//                              it in servers.lock.json
+//   node index.js --outdated   locked version vs the newest the registry
+//                              entry allows, per server
+//   node index.js --upgrade    re-resolve, install and re-lock
+//
+// A server whose locked package is installed runs that binary directly.
+// Locked but not installed, it runs `npx -y <pkg>@<version>` (or `uvx --from
+// <pkg>==<version>`), so the version still can't drift. With --offline
+// (MCP_OFFLINE=1) nothing is fetched: such servers fail to launch, and
+// --install only uses npm's and uv's caches.
+//
+// A version in the registry ("pkg@^1.2", "pkg==0.4.1") limits what --install
+// and --upgrade resolve to. The lockfile belongs in version control; packages/
+// does not.
+// =============================================================================
+
+import { execFile } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { basename, join } from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+const LOCKFILE_VERSION = 1;
+// npm and uv can spend a while on a cold cache
+const INSTALL_TIMEOUT = 10 * 60 * 1000;
+// Written last, so a half-finished install is never used
+const COMPLETE_MARKER = '.installed';
+
+// PyPI project names, optionally with ==version or @version
+const PYPI_SPEC_RE = /^([A-Za-z0-9][A-Za-z0-9._-]*)(?:(?:==|@)([^\s=<>!~]+))?$/;
+
+/**
+ * The package a registry entry runs through npx or uvx, or null for any
+ * other command (node, docker, a local binary, …).
+ *
+ * @param {object} server  Normalized registry entry
+ * @returns {{manager: 'npm'|'pypi', name: string, range: string|null,
+ *   bin: string|null, args: string[]}|null}
+ *   range is the registry's version constraint, bin the executable (npm:
+ *   known after resolving), args what follows the package
+ */
+export function packageOf(server) {
+  if (!server.command) return null;
+  const { args } = server;
+  const command = basename(server.command);
+  if (command === 'npx') {
+    let i = 0;
+    while (args[i] === '-y' || args[i] === '--yes') i++;
+    const spec = args[i];
+    if (!spec || spec.startsWith('-')) return null;
+    // Scoped names start with @, so only a later @ starts the version
+    const at = spec.lastIndexOf('@');
+    return {
+      manager: 'npm',
+      name: at > 0 ? spec.slice(0, at) : spec,
+      range: at > 0 ? spec.slice(at + 1) : null,
+      bin: null,
+      args: args.slice(i + 1),
+    };
+  }
+  if (command === 'uvx') {
+    const from = args[0] === '--from' ? args[1] : null;
+    const i = from ? 2 : 0;
+    const match = (from ?? args[i] ?? '').match(PYPI_SPEC_RE);
+    if (!match || !args[i] || args[i].startsWith('-')) return null;
+    return {
+      manager: 'pypi',
+      name: match[1],
+      range: match[2] ?? null,
+      bin: from ? args[i] : match[1],
+      args: args.slice(i + 1),
+    };
+  }
+  return null;
+}
+
+/**
+ * Read the lockfile; a missing file is an empty lock.
+ *
+ * @param {string} path
+ * @returns {{lockfileVersion: number, servers: Object<string, object>}}
+ * @throws {Error} when the file is not a valid lockfile
+ */
+export function readLockfile(path) {
+  if (!existsSync(path)) return { lockfileVersion: LOCKFILE_VERSION, servers: {} };
+  let lock;
+  try {
+    lock = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid lockfile ${path}: ${err.message}`);
+  }
+  if (lock?.lockfileVersion !== LOCKFILE_VERSION || typeof lock.servers !== 'object' || !lock.servers) {
+    throw new Error(`Invalid lockfile ${path}: expected lockfileVersion ${LOCKFILE_VERSION} and a "servers" object`);
+  }
+  return lock;
+}
+
+export function writeLockfile(path, lock) {
+  const servers = Object.fromEntries(Object.keys(lock.servers).sort().map(name => [name, lock.servers[name]]));
+  writeFileSync(path, JSON.stringify({ lockfileVersion: LOCKFILE_VERSION, servers }, null, 2) + '\n');
+}
+
+// Whether a lock entry still describes what the registry asks for
+function isCurrent(entry, pkg) {
+  return Boolean(entry) &&
+    entry.manager === pkg.manager &&
+    entry.package === pkg.name &&
+    (entry.requested ?? null) === pkg.range &&
+    (pkg.manager === 'npm' || entry.bin === pkg.bin);
+}
+
+const installDir = (dir, entry) => join(dir, entry.manager, `${entry.package.replace('/', '+')}@${entry.version}`);
+
+const binPath = (dir, entry) => entry.manager === 'npm'
+  ? join(installDir(dir, entry), 'node_modules', '.bin', entry.bin)
+  : join(installDir(dir, entry), 'bin', entry.bin);
+
+const isInstalled = (dir, entry) => existsSync(join(installDir(dir, entry), COMPLETE_MARKER));
+
+/**
+ * The command and args to launch a server with: its installed binary, a
+ * pinned npx/uvx invocation, or the registry's own command when the server
+ * has no package or no lock entry.
+ *
+ * @param {object} server  Normalized registry entry
+ * @param {object} opts
+ * @param {object} opts.lock       From readLockfile()
+ * @param {string} opts.dir        Package directory
+ * @param {boolean} [opts.offline]
+ * @returns {{command: string, args: string[], version: string|null}}
+ * @throws {Error} offline, for a package that is not installed
+ */
+export function launchCommand(server, { lock, dir, offline = false }) {
+  const pkg = packageOf(server);
+  if (!pkg) return { command: server.command, args: server.args, version: null };
+  const entry = lock.servers[server.name];
+  const locked = isCurrent(entry, pkg) ? entry : null;
+  if (locked && isInstalled(dir, locked)) {
+    return { command: binPath(dir, locked), args: pkg.args, version: locked.version };
+  }
+  if (offline) {
+    let why = `${pkg.name} is not in the lockfile`;
+    if (locked) why = `${pkg.name}@${locked.version} is not installed`;
+    else if (entry) why = `${pkg.name}'s lock entry no longer matches the registry`;
+    throw new Error(`${why} and the hub is offline (run --install)`);
+  }
+  if (!locked) return { command: server.command, args: server.args, version: null };
+  const args = locked.manager === 'npm'
+    ? ['-y', `${locked.package}@${locked.version}`, ...pkg.args]
+    : ['--from', `${locked.package}==${locked.version}`, locked.bin, ...pkg.args];
+  return { command: server.command, args, version: locked.version };
+}
+
+// Run a package manager; errors carry its own one-line explanation
+async function run(command, args, opts = {}) {
+  try {
+    const { stdout } = await execFileAsync(command, args, { maxBuffer: 64 * 1024 * 1024, timeout: INSTALL_TIMEOUT, ...opts });
+    return stdout;
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`${command} not found on PATH`);
+    let detail;
+    try {
+      // npm --json reports errors on stdout
+      detail = JSON.parse(err.stdout).error.summary;
+    } catch {
+      detail = String(err.stderr || err.message).trim().split('\n')[0];
+    }
+    throw new Error(`${command} ${args[0]} failed: ${detail}`);
+  }
+}
+
+// The executable npx would run for a package's "bin" field
+function pickBin(name, bin) {
+  const short = name.replace(/^@[^/]+\//, '');
+  if (typeof bin === 'string') return short;
+  const names = Object.keys(bin || {});
+  if (names.length === 1) return names[0];
+  if (names.includes(short)) return short;
+  throw new Error(names.length
+    ? `${name} has several executables (${names.join(', ')}) and none is named ${short}`
+    : `${name} has no executable`);
+}
+
+async function resolveNpm(pkg, offline) {
+  const out = await run('npm', [
+    'view', `${pkg.name}@${pkg.range || 'latest'}`, 'version', 'dist.integrity', 'bin', '--json',
+    ...(offline ? ['--offline'] : []),
+  ]);
+  // One object, or one per version when a range matches several
+  let info = out.trim() ? JSON.parse(out) : null;
+  if (Array.isArray(info)) info = info[info.length - 1];
+  if (!info?.version) throw new Error(`no version of ${pkg.name} matches "${pkg.range || 'latest'}"`);
+  return { version: info.version, integrity: info['dist.integrity'] ?? null, bin: pickBin(pkg.name, info.bin) };
+}
+
+async function resolvePypi(pkg, offline) {
+  if (offline) throw new Error(`cannot resolve ${pkg.name} offline; it needs a lockfile entry`);
+  const url = `https://pypi.org/pypi/${encodeURIComponent(pkg.name)}/${pkg.range ? `${encodeURIComponent(pkg.range)}/` : ''}json`;
+  let res;
+  try {
+    res = await fetch(url, { signal: AbortSignal.timeout(30000) });
+  } catch (err) {
+    throw new Error(`PyPI lookup for ${pkg.name} failed: ${err.cause?.message || err.message}`);
+  }
+  if (res.status === 404) throw new Error(`${pkg.name}${pkg.range ? `==${pkg.range}` : ''} is not on PyPI`);
+  if (!res.ok) throw new Error(`PyPI lookup for ${pkg.name} failed: HTTP ${res.status}`);
+  const { info } = await res.json();
+  return { version: info.version, integrity: null, bin: pkg.bin };
+}
+
+/**
+ * The exact version, integrity and executable a package resolves to today.
+ *
+ * @param {object} pkg  From packageOf()
+ * @param {object} [opts]
+ * @param {boolean} [opts.offline]  Use npm's cache only; PyPI can't be resolved
+ */
+export function resolvePackage(pkg, { offline = false } = {}) {
+  return pkg.manager === 'npm' ? resolveNpm(pkg, offline) : resolvePypi(pkg, offline);
+}
+
+// Install one locked package into its own directory under dir
+async function installPackage(entry, dir, offline) {
+  const target = installDir(dir, entry);
+  rmSync(target, { recursive: true, force: true });
+  mkdirSync(target, { recursive: true });
+  try {
+    if (entry.manager === 'npm') {
+      writeFileSync(join(target, 'package.json'), JSON.stringify({
+        private: true,
+        dependencies: { [entry.package]: entry.version },
+      }, null, 2) + '\n');
+      await run('npm', ['install', '--omit=dev', '--no-audit', '--no-fund', ...(offline ? ['--offline'] : [])], { cwd: target });
+      const installed = JSON.parse(readFileSync(join(target, 'package-lock.json'), 'utf-8'))
+        .packages?.[`node_modules/${entry.package}`];
+      if (installed?.version !== entry.version) {
+        throw new Error(`npm installed ${entry.package}@${installed?.version} instead of ${entry.version}`);
+      }
+      if (entry.integrity && installed.integrity !== entry.integrity) {
+        throw new Error(`${entry.package}@${entry.version} does not match the lockfile's integrity hash`);
+      }
+    } else {
+      const uvOffline = offline ? ['--offline'] : [];
+      await run('uv', ['venv', '--quiet', ...uvOffline, target]);
+      await run('uv', ['pip', 'install', '--quiet', ...uvOffline,
+        '--python', join(target, 'bin', 'python'), `${entry.package}==${entry.version}`]);
+    }
+    if (!existsSync(binPath(dir, entry))) {
+      throw new Error(`${entry.package}@${entry.version} has no ${entry.bin} executable`);
+    }
+    writeFileSync(join(target, COMPLETE_MARKER), new Date().toISOString() + '\n');
+  } catch (err) {
+    rmSync(target, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+/**
+ * Install the package behind each server: at its locked version, or at a
+ * freshly resolved one when it has no lock entry, the registry entry changed,
+ * or upgrade is set. Servers are handled one at a time; a package shared by
+ * several servers is installed once.
+ *
+ * @param {object[]} servers  Normalized registry entries
+ * @param {object} opts
+ * @param {object} opts.lock       Current lock (not modified)
+ * @param {string} opts.dir        Package directory
+ * @param {boolean} [opts.offline]
+ * @param {boolean} [opts.upgrade]
+ * @param {(result: object) => void} [opts.onResult]  Called as each server finishes
+ * @returns {Promise<{lock: object, results: Array<{server: string, status: string,
+ *   package?: string, from?: string|null, to?: string, error?: string}>}>}
+ *   status is installed, cached (already in dir), local (no package) or failed
+ */
+export async function installPackages(servers, { lock, dir, offline = false, upgrade = false, onResult = () => {} }) {
+  const next = { lockfileVersion: LOCKFILE_VERSION, servers: { ...lock.servers } };
+  const results = [];
+  for (const server of servers) {
+    const pkg = packageOf(server);
+    let result;
+    if (!pkg) {
+      result = { server: server.name, status: 'local' };
+    } else {
+      const current = lock.servers[server.name];
+      try {
+        const entry = !upgrade && isCurrent(current, pkg)
+          ? current
+          : { manager: pkg.manager, package: pkg.name, requested: pkg.range, ...(await resolvePackage(pkg, { offline })) };
+        const cached = isInstalled(dir, entry);
+        if (!cached) await installPackage(entry, dir, offline);
+        next.servers[server.name] = entry;
+        result = { server: server.name, package: pkg.name, from: current?.version ?? null, to: entry.version, status: cached ? 'cached' : 'installed' };
+      } catch (err) {
+        result = { server: server.name, package: pkg.name, status: 'failed', error: err.message };
+      }
+    }
+    results.push(result);
+    onResult(result);
+  }
+  return { lock: next, results };
+}
@@ -0,0 +1,149 @@
+// =============================================================================
+// Tool Policy
+// =============================================================================
+// Per-server rules, from the registry, for which tools clients of the hub may
+// use. Patterns are tool names with * wildcards:
+//
+//   "tools": {
+//     "allow":   ["read_*", "list_*"],   only these are offered (default: all)
+//     "deny":    ["delete_*"],           never offered, whatever allow says
+//     "confirm": ["move_file"]           offered, but a call must carry
+//   }                                    X-MCP-Confirm: move_file
+//
+// Hidden tools are dropped from tools/list and a tools/call for one is
+// answered by the hub with an MCP error; the server never sees it. Applies to
+// /<server>/mcp and to the aggregated /mcp endpoint alike.
+// =============================================================================
+
+export const TOOL_RULES = ['allow', 'deny', 'confirm'];
+export const CONFIRM_HEADER = 'x-mcp-confirm';
+
+// JSON-RPC error codes for rejected calls (implementation-defined range)
+export const TOOL_DENIED = -32001;
+export const CONFIRMATION_REQUIRED = -32002;
+
+/**
+ * Validate a registry "tools" object; returns problem strings.
+ *
+ * @param {object} rules
+ * @param {string} label  Entry label for messages
+ */
+export function validateToolRules(rules, label) {
+  const problems = [];
+  for (const [key, value] of Object.entries(rules)) {
+    if (!TOOL_RULES.includes(key)) {
+      problems.push(`${label}: unknown tools rule "${key}" (use ${TOOL_RULES.join(', ')})`);
+    } else if (!Array.isArray(value) || !value.every(v => typeof v === 'string' && v)) {
+      problems.push(`${label}: tools.${key} must be an array of tool names or patterns`);
+    }
+  }
+  return problems;
+}
+
+function matcher(patterns) {
+  if (!patterns.length) return () => false;
+  const source = patterns
+    .map(p => p.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*'))
+    .join('|');
+  const re = new RegExp(`^(?:${source})$`);
+  return (name) => re.test(name);
+}
+
+// Compiled once per normalized entry (a reload creates new entries)
+const compiled = new WeakMap();
+
+/**
+ * The tool policy for a registry entry.
+ *
+ * @param {object} server  Normalized registry entry
+ * @returns {{active: boolean, visible: (tool: string) => boolean,
+ *   check: (tool: string, confirmed: Set<string>) => {code: number, message: string, data: object}|null}}
+ */
+export function toolPolicy(server) {
+  let policy = compiled.get(server);
+  if (policy) return policy;
+  const { allow = [], deny = [], confirm = [] } = server.tools || {};
+  const allowed = allow.length ? matcher(allow) : () => true;
+  const denied = matcher(deny);
+  const needsConfirm = matcher(confirm);
+  const visible = (tool) => allowed(tool) && !denied(tool);
+
+  policy = {
+    active: Boolean(allow.length || deny.length || confirm.length),
+    visible,
+    check(tool, confirmed) {
+      if (!visible(tool)) {
+        return {
+          code: TOOL_DENIED,
+          message: `Tool ${tool} on ${server.name} is disabled by the hub's tool policy`,
+          data: { server: server.name, tool },
+        };
+      }
+      if (needsConfirm(tool) && !confirmed.has(tool)) {
+        return {
+          code: CONFIRMATION_REQUIRED,
+          message: `Tool ${tool} on ${server.name} requires confirmation: repeat the call with the header "X-MCP-Confirm: ${tool}"`,
+          data: { server: server.name, tool, header: 'X-MCP-Confirm' },
+        };
+      }
+      return null;
+    },
+  };
+  compiled.set(server, policy);
+  return policy;
+}
+
+// Tool names the caller confirmed with X-MCP-Confirm (comma-separated)
+export function confirmedTools(req) {
+  return new Set(String(req.headers[CONFIRM_HEADER] || '').split(',').map(s => s.trim()).filter(Boolean));
+}
+
+// Drop hidden tools from any tools/list result among messages; returns
+// whether anything changed
+function filterMessages(messages, policy) {
+  let changed = false;
+  for (const msg of messages) {
+    const tools = msg?.result?.tools;
+    if (!Array.isArray(tools)) continue;
+    const kept = tools.filter(t => policy.visible(t?.name));
+    if (kept.length !== tools.length) {
+      msg.result.tools = kept;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Rewrite a child's reply (JSON or event stream) without the tools a policy
+ * hides.
+ *
+ * @param {string} body
+ * @param {string} contentType
+ * @param {object} policy  From toolPolicy()
+ * @returns {string}
+ */
+export function filterToolList(body, contentType, policy) {
+  if (contentType.startsWith('text/event-stream')) {
+    return body.split(/(\r?\n\r?\n)/).map((event) => {
+      const lines = event.split(/\r?\n/);
+      const data = lines.filter(l => l.startsWith('data:')).map(l => l.slice(5).trimStart());
+      if (!data.length) return event;
+      let msg;
+      try {
+        msg = JSON.parse(data.join('\n'));
+      } catch {
+        return event;
+      }
+      if (!filterMessages(Array.isArray(msg) ? msg : [msg], policy)) return event;
+      return [...lines.filter(l => !l.startsWith('data:')), `data: ${JSON.stringify(msg)}`].join('\n');
+    }).join('');
+  }
+  let msg;
+  try {
+    msg = JSON.parse(body);
+  } catch {
+    return body;
+  }
+  return filterMessages(Array.isArray(msg) ? msg : [msg], policy) ? JSON.stringify(msg) : body;
+}
@@ -0,0 +1,103 @@
+// =============================================================================
+// Port Assignment
+// =============================================================================
+// Gives every registry entry the same internal port on every run, regardless
+// of --only/--exclude filters or entries added and removed around it:
+//
+//   1. A fixed "port" in the registry always wins.
+//   2. Otherwise the port recorded in ports.json for that name is reused.
+//   3. New names get the lowest free port from the base upward, which is then
+//      recorded.
+//
+// Ports of entries that have left the registry stay reserved in ports.json,
+// so a server that comes back gets its old port and no other server inherits
+// it in the meantime.
+// =============================================================================
+
+import net from 'net';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+function readMap(file) {
+  if (!existsSync(file)) return {};
+  try {
+    const map = JSON.parse(readFileSync(file, 'utf-8'));
+    return map && typeof map === 'object' && !Array.isArray(map) ? map : {};
+  } catch (err) {
+    console.error(`[PORT] Ignoring unreadable ${file}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Resolve a port for every entry and persist new assignments.
+ *
+ * @param {Array<{name: string, port?: number|null}>} servers  Full registry
+ * @param {object} opts
+ * @param {number} opts.base       First port for automatic assignment
+ * @param {string|null} opts.file  Path of the persisted name → port map
+ *   (null: assign in memory only)
+ * @param {number[]} [opts.reserved]  Ports never handed out (e.g. the hub's)
+ * @param {boolean} [opts.save]  Record new assignments in file; false only
+ *   reads it, for commands that don't launch anything
+ * @returns {Map<string, number>}
+ */
+export function assignPorts(servers, { base, file, reserved = [], save = true }) {
+  const saved = file ? readMap(file) : {};
+  const ports = new Map();
+  const taken = new Map(reserved.map(p => [p, '(reserved)']));
+
+  // Fixed ports first — they are authoritative
+  for (const s of servers) {
+    if (s.port == null) continue;
+    if (taken.has(s.port)) {
+      throw new Error(`Port ${s.port} of "${s.name}" collides with ${taken.get(s.port)}`);
+    }
+    ports.set(s.name, s.port);
+    taken.set(s.port, s.name);
+  }
+
+  // Keep reservations for names no longer in the registry
+  const names = new Set(servers.map(s => s.name));
+  for (const [name, port] of Object.entries(saved)) {
+    if (!names.has(name) && !taken.has(port)) taken.set(port, name);
+  }
+
+  // Previously assigned ports, unless a fixed port has since claimed them
+  for (const s of servers) {
+    if (ports.has(s.name) || !Number.isInteger(saved[s.name])) continue;
+    const port = saved[s.name];
+    if (taken.has(port)) {
+      console.error(`[PORT] ${s.name}: saved port ${port} now belongs to ${taken.get(port)}, reassigning`);
+      continue;
+    }
+    ports.set(s.name, port);
+    taken.set(port, s.name);
+  }
+
+  // Everything else gets the next free port
+  let next = base;
+  for (const s of servers) {
+    if (ports.has(s.name)) continue;
+    while (taken.has(next)) next++;
+    ports.set(s.name, next);
+    taken.set(next, s.name);
+  }
+
+  const merged = { ...saved };
+  for (const [name, port] of ports) merged[name] = port;
+  if (file && save && JSON.stringify(merged) !== JSON.stringify(saved)) {
+    writeFileSync(file, JSON.stringify(merged, null, 2) + '\n');
+  }
+  return ports;
+}
+
+// Resolve true if nothing is listening on 127.0.0.1:<port>
+export function isPortFree(port) {
+  return new Promise((resolvePromise) => {
+    const probe = net.createServer();
+    probe.once('error', () => resolvePromise(false));
+    probe.listen(port, '127.0.0.1', () => {
+      probe.close(() => resolvePromise(true));
+    });
+  });
+}
@@ -0,0 +1,47 @@
+// =============================================================================
+// Process Group Usage
+// =============================================================================
+// Children run in their own process groups (see supervisor.js), so a child's
+// real footprint is the sum over its group: supergateway plus the sh, npx and
+// server processes under it. Read from /proc, so Linux only; elsewhere the
+// result is empty and callers treat usage as unknown.
+// =============================================================================
+
+import { readdirSync, readFileSync } from 'fs';
+
+// Linux reports CPU time in USER_HZ ticks and RSS in pages
+const CLK_TCK = 100;
+const PAGE_SIZE = 4096;
+
+/**
+ * RSS and CPU time summed per process group, from one pass over /proc.
+ *
+ * @returns {Map<number, {rss: number, cpu: number}>}  pgid → bytes, seconds
+ */
+export function groupUsage() {
+  const usage = new Map();
+  let entries;
+  try {
+    entries = readdirSync('/proc');
+  } catch {
+    return usage;
+  }
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) continue;
+    let stat;
+    try {
+      stat = readFileSync(`/proc/${entry}/stat`, 'utf-8');
+    } catch {
+      continue;
+    }
+    // Fields after "(comm)": fields[0] is field 3 (state) of proc(5)
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    if (fields[0] === 'Z') continue;
+    const pgid = Number(fields[2]);
+    const u = usage.get(pgid) || { rss: 0, cpu: 0 };
+    u.cpu += (Number(fields[11]) + Number(fields[12])) / CLK_TCK;
+    u.rss += Number(fields[21]) * PAGE_SIZE;
+    usage.set(pgid, u);
+  }
+  return usage;
+}
@@ -0,0 +1,520 @@
+// =============================================================================
+// Hub Reverse Proxy
+// =============================================================================
+// Listens on a single public port and routes /<server-name>/<path> to the
+// matching supergateway child on its internal loopback port. Request and
+// response bodies are piped straight through, so streamableHttp SSE responses
+// reach the client as the child emits them. /<server-name>/sse and /message
+// serve the legacy SSE transport on top of that (sse.js).
+// =============================================================================
+
+import http from 'http';
+import https from 'https';
+import { describeRpc } from './metrics.js';
+import { parseReplies } from './audit.js';
+import { toolPolicy, confirmedTools, filterToolList } from './policy.js';
+import { RateLimitError, LIMITED_METHODS } from './ratelimit.js';
+import { createSseSessions } from './sse.js';
+
+// Paths a client may reach on a child, relative to /<server-name>
+const ROUTED_PATHS = new Set(['/mcp', '/health', '/sse', '/message']);
+const SSE_PATHS = new Set(['/sse', '/message']);
+
+// Hop-by-hop headers must not be forwarded (RFC 9110 §7.6.1)
+const HOP_BY_HOP = new Set([
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+]);
+
+function forwardHeaders(headers) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers)) {
+    if (!HOP_BY_HOP.has(k.toLowerCase())) out[k] = v;
+  }
+  return out;
+}
+
+export function sendJson(res, status, body) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const MAX_BODY = 4 * 1024 * 1024;
+
+// Buffer a request body (JSON-RPC messages are small; cap it anyway)
+export function readBody(req, limit = MAX_BODY) {
+  return new Promise((resolvePromise, rejectPromise) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        rejectPromise(new Error(`Request body exceeds ${limit} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolvePromise(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', rejectPromise);
+  });
+}
+
+// Split "/github/mcp?x=1" into { name: 'github', subPath: '/mcp', search: '?x=1' }
+export function parseRoute(url) {
+  const qIdx = url.indexOf('?');
+  const pathname = qIdx === -1 ? url : url.slice(0, qIdx);
+  const search = qIdx === -1 ? '' : url.slice(qIdx);
+  const match = pathname.match(/^\/([^/]+)(\/.*)?$/);
+  if (!match) return null;
+  try {
+    return { name: decodeURIComponent(match[1]), subPath: match[2] || '/', search };
+  } catch {
+    return null;
+  }
+}
+
+// Record an MCP POST's method, tool, outcome and latency once the response
+// closes, and write it to the audit log with the child's reply. The outcome
+// is "error" for an HTTP error, a client that left early or a JSON-RPC error
+// in the reply, including one the hub answered with. Returns taps
+// to call just before the bodies are piped: attaching the request tee any
+// earlier would start the body flowing while a lazy child starts.
+function observe(req, res, server, { metrics, audit }) {
+  const start = performance.now();
+  const chunks = [];
+  const replyChunks = [];
+  let size = 0;
+  let replySize = 0;
+  let replyType = '';
+  res.on('close', () => {
+    const body = Buffer.concat(chunks).toString('utf-8');
+    const seconds = (performance.now() - start) / 1000;
+    const replies = parseReplies(Buffer.concat(replyChunks).toString('utf-8'), replyType)
+      .filter(r => r && typeof r === 'object' && !r.method);
+    if (metrics) {
+      const { method, tool } = describeRpc(body);
+      for (const r of replies) {
+        if (Array.isArray(r.result?.tools)) metrics.listed(server, r.result.tools.map(t => t?.name));
+      }
+      const failed = !res.writableFinished || res.statusCode >= 400 || replies.some(r => r.error !== undefined);
+      metrics.observe({ server, method, tool, outcome: failed ? 'error' : 'ok' }, seconds);
+    }
+    if (audit) {
+      for (const request of parseReplies(body)) {
+        if (typeof request?.method !== 'string') continue;
+        audit.record({
+          client: req.hubClient?.name ?? 'anonymous',
+          remote: req.hubRemote,
+          server,
+          via: 'route',
+          request,
+          reply: request.id === undefined ? undefined : replies.find(r => r.id === request.id),
+          durationMs: seconds * 1000,
+        });
+      }
+    }
+  });
+  return {
+    // body: when the proxy has already read it
+    request: (body) => {
+      if (body !== undefined) {
+        chunks.push(Buffer.from(body));
+        return;
+      }
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_BODY) chunks.push(chunk);
+      });
+    },
+    // Answered by the hub itself (e.g. a call the tool policy blocked)
+    answered: (body, reply) => {
+      chunks.push(Buffer.from(body));
+      replyChunks.push(Buffer.from(JSON.stringify(reply)));
+      replyType = 'application/json';
+    },
+    response: (upRes) => {
+      replyType = String(upRes.headers['content-type'] || '');
+      upRes.on('data', (chunk) => {
+        replySize += chunk.length;
+        if (replySize <= MAX_BODY) replyChunks.push(chunk);
+      });
+    },
+  };
+}
+
+/**
+ * Forward a request to its child and stream the reply back.
+ *
+ * @param {object} [opts]
+ * @param {Function} [opts.release]    Called once the exchange is over
+ * @param {object} [opts.taps]         From observe()
+ * @param {string} [opts.body]         Already-read request body to send
+ *   instead of piping req
+ * @param {(body: string, contentType: string) => string} [opts.transform]
+ *   Buffer the reply and rewrite it before sending
+ */
+function pipeToChild(req, res, route, target, { release, taps, body, transform } = {}) {
+  const headers = {
+    ...forwardHeaders(req.headers),
+    host: `127.0.0.1:${target.port}`,
+    'x-forwarded-for': req.hubRemote ?? '',
+    'x-forwarded-prefix': `/${route.name}`,
+  };
+  if (body !== undefined) headers['content-length'] = Buffer.byteLength(body);
+  const upstream = http.request({
+    host: '127.0.0.1',
+    port: target.port,
+    method: req.method,
+    path: route.subPath + route.search,
+    headers,
+  });
+
+  upstream.on('response', (upRes) => {
+    if (taps) taps.response(upRes);
+    const contentType = String(upRes.headers['content-type'] || '');
+    if (transform) {
+      const chunks = [];
+      upRes.on('data', chunk => chunks.push(chunk));
+      upRes.on('end', () => {
+        const out = transform(Buffer.concat(chunks).toString('utf-8'), contentType);
+        const outHeaders = forwardHeaders(upRes.headers);
+        delete outHeaders['content-length'];
+        res.writeHead(upRes.statusCode, upRes.statusMessage, { ...outHeaders, 'content-length': Buffer.byteLength(out) });
+        res.end(out);
+      });
+      return;
+    }
+    res.writeHead(upRes.statusCode, upRes.statusMessage, forwardHeaders(upRes.headers));
+    // Event streams must not sit in any buffer between child and client
+    if (contentType.startsWith('text/event-stream')) {
+      res.flushHeaders();
+    }
+    upRes.pipe(res);
+  });
+
+  upstream.on('error', (err) => {
+    sendJson(res, 502, {
+      jsonrpc: '2.0',
+      error: { code: -32603, message: `Upstream ${route.name} unavailable: ${err.message}` },
+      id: null,
+    });
+  });
+
+  // Client went away (e.g. closed an SSE stream) — tear down the upstream leg
+  res.on('close', () => {
+    if (!res.writableFinished) upstream.destroy();
+    if (release) release();
+  });
+
+  if (taps) taps.request(body);
+  if (body !== undefined) {
+    upstream.end(body);
+  } else {
+    req.pipe(upstream);
+  }
+}
+
+// Apply a server's tool policy to a buffered MCP POST. Returns the reply to
+// send instead of forwarding (a blocked tools/call), or the options for
+// pipeToChild: tools/list replies get the hidden tools filtered out.
+function applyToolPolicy(req, body, policy) {
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    return { forward: {} };
+  }
+  const messages = Array.isArray(parsed) ? parsed : [parsed];
+  const confirmed = confirmedTools(req);
+  const blocked = new Map();
+  for (const msg of messages) {
+    if (msg?.method !== 'tools/call') continue;
+    const error = policy.check(msg.params?.name, confirmed);
+    if (error) blocked.set(msg, error);
+  }
+  if (blocked.size) {
+    // A batch is answered whole rather than half-forwarded
+    const replies = messages.filter(m => m?.id !== undefined).map(m => ({
+      jsonrpc: '2.0',
+      id: m.id,
+      error: blocked.get(m) || { code: -32600, message: 'Batch not forwarded: it contains a blocked tool call' },
+    }));
+    return { reply: Array.isArray(parsed) ? replies : replies[0] };
+  }
+  const lists = messages.some(m => m?.method === 'tools/list');
+  return { forward: lists ? { transform: (text, type) => filterToolList(text, type, policy) } : {} };
+}
+
+// Answer a request the limiter turned away, with the request's id when it
+// has a single one
+async function rejectLimited(req, res, err, { body, taps }) {
+  if (body === undefined) body = await readBody(req).catch(() => '');
+  let id = null;
+  try {
+    id = JSON.parse(body)?.id ?? null;
+  } catch {
+    // unparsable; answer with a null id
+  }
+  const reply = { jsonrpc: '2.0', id, error: { code: err.code, message: err.message, data: { retryAfter: err.retryAfter } } };
+  taps?.answered(body, reply);
+  res.setHeader('Retry-After', String(err.retryAfter));
+  sendJson(res, 429, reply);
+}
+
+// Methods of the JSON-RPC messages in a body
+function rpcMethods(body) {
+  try {
+    const parsed = JSON.parse(body);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map(m => m?.method);
+  } catch {
+    return [];
+  }
+}
+
+// Forward to a route once the limiter admits it, waking a lazy child first
+async function forwardTo(req, res, route, target, { limiter, ...opts }) {
+  let unlimit = null;
+  if (limiter) {
+    try {
+      unlimit = await limiter.acquire({ server: target.server, client: req.hubClient });
+    } catch (err) {
+      if (!(err instanceof RateLimitError)) throw err;
+      await rejectLimited(req, res, err, opts);
+      return;
+    }
+    // Gave up while queued
+    if (req.socket.destroyed) {
+      unlimit();
+      return;
+    }
+  }
+  const done = (release) => () => {
+    if (release) release();
+    if (unlimit) unlimit();
+  };
+  const pipe = (release) => {
+    try {
+      pipeToChild(req, res, route, target, { ...opts, release });
+    } catch (err) {
+      release();
+      throw err;
+    }
+  };
+  if (!target.acquire) {
+    pipe(done(null));
+    return;
+  }
+  await target.acquire().then(
+    (release) => {
+      // Gave up while the child started
+      if (req.socket.destroyed) {
+        done(release)();
+        return;
+      }
+      pipe(done(release));
+    },
+    (err) => {
+      done(null)();
+      sendJson(res, 503, {
+        jsonrpc: '2.0',
+        error: { code: -32603, message: `${route.name} could not be started: ${err.message}` },
+        id: null,
+      });
+    },
+  );
+}
+
+/**
+ * Create the hub's front-door HTTP server.
+ *
+ * @param {object} opts
+ * @param {Map<string, {port: number}>} opts.routes  Live name → child mapping.
+ *   The proxy reads it per request, so callers may add or remove entries.
+ *   A route with acquire() is lazy: the request is held until acquire()
+ *   resolves (child started) and release() is called once it completes.
+ * @param {{handle: Function}} [opts.aggregator]  Serves the merged /mcp endpoint
+ * @param {{authenticate: Function}} [opts.auth]  When set, every endpoint except
+ *   /health and the admin status page requires a bearer token, and the
+ *   caller's allowlist is enforced
+ * @param {{handle: Function}} [opts.admin]  Serves /_admin
+ * @param {{observe: Function, render: Function}} [opts.metrics]  Serves
+ *   /metrics and records every MCP POST routed to a child
+ * @param {{handle: Function}} [opts.clients]  Serves /_clients (client configs)
+ * @param {{record: Function}} [opts.audit]  Audit log for MCP POSTs routed to
+ *   a child
+ * @param {{acquire: Function}} [opts.limiter]  Rate limits and in-flight caps
+ *   for MCP POSTs routed to a child
+ * @param {object} [opts.tls]  https.createServer options; serve HTTPS
+ * @returns {http.Server|https.Server}
+ */
+export function createProxy({ routes, aggregator, auth, admin, metrics, clients, audit, limiter, tls }) {
+  const sse = createSseSessions();
+
+  // An MCP POST for a child, through tool policy, rate limits and the
+  // metrics/audit taps. body: already read (the SSE bridge has to)
+  // A forward that throws answers 502 rather than taking the hub down
+  const forward = (req, res, route, target, opts) => {
+    forwardTo(req, res, route, target, opts).catch((err) => {
+      sendJson(res, 502, { jsonrpc: '2.0', error: { code: -32603, message: `Cannot reach ${route.name}: ${err.message}` }, id: null });
+    });
+  };
+
+  const postToChild = (req, res, route, target, body) => {
+    const taps = metrics || audit ? observe(req, res, route.name, { metrics, audit }) : null;
+    const policy = target.server ? toolPolicy(target.server) : null;
+    const limited = limiter && (target.server?.rateLimit || req.hubClient?.rateLimit);
+    if (!policy?.active && !limited) {
+      forward(req, res, route, target, { taps, body });
+      return;
+    }
+    // Read the body first: a blocked call is answered without waking the
+    // child, and only some methods count against rate limits
+    const read = body !== undefined ? Promise.resolve(body) : readBody(req);
+    read.then((text) => {
+      let decided = {};
+      if (policy?.active) {
+        const decision = applyToolPolicy(req, text, policy);
+        if (decision.reply) {
+          taps?.answered(text, decision.reply);
+          sendJson(res, 200, decision.reply);
+          return;
+        }
+        decided = decision.forward;
+      }
+      const counts = limited && rpcMethods(text).some(m => LIMITED_METHODS.has(m));
+      forward(req, res, route, target, { ...decided, taps, body: text, limiter: counts ? limiter : null });
+    }, err => sendJson(res, 413, { jsonrpc: '2.0', error: { code: -32600, message: err.message }, id: null }));
+  };
+
+  // GET /<name>/sse opens a session; POST /<name>/message feeds it
+  const serveSse = (req, res, route, target) => {
+    if (route.subPath === '/sse') {
+      if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      sse.open(req, res, route.name);
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const session = sse.get(new URLSearchParams(route.search).get('sessionId'));
+    if (!session || session.name !== route.name) {
+      sendJson(res, 404, { error: 'Unknown or expired session; reconnect to the event stream' });
+      return;
+    }
+    if (session.client !== (req.hubClient?.name ?? null)) {
+      sendJson(res, 403, { error: 'Session belongs to another client' });
+      return;
+    }
+    readBody(req).then((body) => {
+      res.writeHead(202, { 'Content-Type': 'text/plain' });
+      res.end('Accepted');
+      session.relay(req, body, (inner, captured) =>
+        postToChild(inner, captured, { name: route.name, subPath: '/mcp', search: '' }, target, body));
+    }, err => sendJson(res, 413, { jsonrpc: '2.0', error: { code: -32600, message: err.message }, id: null }));
+  };
+
+  const handle = (req, res) => {
+    // Read now: once the client goes away the socket no longer has it
+    req.hubRemote = req.socket.remoteAddress;
+    if (req.url === '/health') {
+      sendJson(res, 200, { status: 'ok', servers: routes.size });
+      return;
+    }
+
+    const route = parseRoute(req.url);
+    const adminRoute = admin && route?.name === '_admin';
+    // The status page is static; it asks for a token and calls the API with it
+    if (adminRoute && route.subPath === '/' && req.method === 'GET') {
+      admin.handle(req, res, route.subPath, route.search);
+      return;
+    }
+
+    if (auth) {
+      req.hubClient = auth.authenticate(req);
+      if (!req.hubClient) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="mcp-hub"');
+        sendJson(res, 401, { error: 'Missing or invalid bearer token' });
+        return;
+      }
+    }
+
+    if (adminRoute) {
+      admin.handle(req, res, route.subPath, route.search);
+      return;
+    }
+    if (clients && route?.name === '_clients') {
+      clients.handle(req, res, route.subPath, route.search);
+      return;
+    }
+    if (metrics && route?.name === 'metrics' && route.subPath === '/') {
+      if (req.hubClient && !req.hubClient.admin) {
+        sendJson(res, 403, { error: 'Admin credential required' });
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(metrics.render());
+      return;
+    }
+    if (aggregator && route?.name === 'mcp' && route.subPath === '/') {
+      aggregator.handle(req, res).catch((err) => {
+        sendJson(res, 500, { jsonrpc: '2.0', error: { code: -32603, message: err.message }, id: null });
+      });
+      return;
+    }
+    const target = route && routes.get(route.name);
+    if (!target) {
+      sendJson(res, 404, { error: `Unknown server: ${route ? route.name : req.url}` });
+      return;
+    }
+    if (req.hubClient && !req.hubClient.allows(route.name)) {
+      sendJson(res, 403, { error: `Client ${req.hubClient.name} may not access ${route.name}` });
+      return;
+    }
+    if (!ROUTED_PATHS.has(route.subPath)) {
+      sendJson(res, 404, { error: `Unknown path ${route.subPath} for ${route.name}` });
+      return;
+    }
+
+    // Health checks must not wake an idle server
+    if (route.subPath === '/health' && target.acquire && !target.active()) {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('idle');
+      return;
+    }
+
+    const expose = target.server?.expose ?? 'streamableHttp';
+    if (SSE_PATHS.has(route.subPath)) {
+      if (expose === 'streamableHttp') {
+        sendJson(res, 404, { error: `${route.name} is not exposed over SSE; use /${route.name}/mcp` });
+        return;
+      }
+      serveSse(req, res, route, target);
+      return;
+    }
+    if (route.subPath === '/mcp' && expose === 'sse') {
+      sendJson(res, 404, { error: `${route.name} is only exposed over SSE; use /${route.name}/sse` });
+      return;
+    }
+    if (route.subPath === '/mcp' && req.method === 'POST') {
+      postToChild(req, res, route, target);
+      return;
+    }
+    forward(req, res, route, target, {});
+  };
+  return tls ? https.createServer(tls, handle) : http.createServer(handle);
+}
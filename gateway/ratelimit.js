@@ -0,0 +1,198 @@
+// =============================================================================
+// Rate Limits
+// =============================================================================
+// Token-bucket rate limits and in-flight caps, per server (registry
+// "rateLimit") and per client (tokens.json "rateLimit"):
+//
+//   "rateLimit": {
+//     "perMinute": 30,      sustained requests per minute
+//     "burst": 10,          bucket size, whole requests (default: perMinute,
+//                           at least 1)
+//     "maxInFlight": 1,     concurrent requests; more wait in a queue …
+//     "queueTimeout": 30    … for at most this many seconds (default 30)
+//   }
+//
+// A request over the rate is rejected at once with the time until the next
+// token; one that can't get an in-flight slot before its queue timeout is
+// rejected then. Both come back as JSON-RPC errors that say which limit hit.
+// Only requests that do work count — tools/call, resources/read and
+// prompts/get, through /<server>/mcp or the aggregated /mcp — so a client's
+// handshake and list calls never use up its quota. The master key has no
+// client limit.
+// =============================================================================
+
+// JSON-RPC error codes (implementation-defined range, after policy.js)
+export const RATE_LIMITED = -32003;
+export const QUEUE_TIMEOUT = -32004;
+
+const DEFAULT_QUEUE_TIMEOUT = 30;
+
+export const LIMITED_METHODS = new Set(['tools/call', 'resources/read', 'prompts/get']);
+
+export const RATE_LIMIT_FIELDS = ['perMinute', 'burst', 'maxInFlight', 'queueTimeout'];
+
+// A bucket smaller than one token could never admit a request
+const INTEGER_FIELDS = new Set(['burst', 'maxInFlight']);
+
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} code         RATE_LIMITED or QUEUE_TIMEOUT
+   * @param {number} retryAfter   Seconds the caller should wait
+   */
+  constructor(message, code, retryAfter) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Validate a "rateLimit" object; returns problem strings.
+ *
+ * @param {object} spec
+ * @param {string} label  Entry label for messages
+ */
+export function validateRateLimit(spec, label) {
+  const problems = [];
+  for (const [key, value] of Object.entries(spec)) {
+    if (!RATE_LIMIT_FIELDS.includes(key)) {
+      problems.push(`${label}: unknown rateLimit setting "${key}" (use ${RATE_LIMIT_FIELDS.join(', ')})`);
+    } else if (typeof value !== 'number' || !(value > 0) || (INTEGER_FIELDS.has(key) && !Number.isInteger(value))) {
+      problems.push(`${label}: rateLimit.${key} must be a positive ${INTEGER_FIELDS.has(key) ? 'integer' : 'number'}`);
+    }
+  }
+  return problems;
+}
+
+// Refills continuously at `rate` tokens per second up to `capacity`
+class TokenBucket {
+  constructor(perMinute, burst) {
+    this.rate = perMinute / 60;
+    this.capacity = burst ?? Math.max(Math.floor(perMinute), 1);
+    this.tokens = this.capacity;
+    this.at = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.at) / 1000) * this.rate);
+    this.at = now;
+  }
+
+  // Seconds until a token is available (0: one is available now)
+  wait() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : (1 - this.tokens) / this.rate;
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+// Counting semaphore with a FIFO queue of waiters
+class Slots {
+  constructor(max) {
+    this.max = max;
+    this.inFlight = 0;
+    this.queue = [];
+  }
+
+  // Resolves once a slot is held; rejects after timeoutMs in the queue
+  acquire(timeoutMs) {
+    if (this.inFlight < this.max) {
+      this.inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise((resolvePromise, rejectPromise) => {
+      const waiter = { resolve: resolvePromise };
+      waiter.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        rejectPromise(new Error('queue timeout'));
+      }, timeoutMs);
+      this.queue.push(waiter);
+    });
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      this.inFlight--;
+    }
+  }
+}
+
+/**
+ * Create the hub's limiter. State is kept per key ("server:github",
+ * "client:laptop") and rebuilt when that key's settings change.
+ */
+export function createLimiter() {
+  // key → { signature, spec, bucket, slots }
+  const state = new Map();
+
+  function stateFor(key, spec) {
+    const signature = JSON.stringify(spec);
+    let s = state.get(key);
+    if (!s || s.signature !== signature) {
+      s = {
+        signature,
+        spec,
+        bucket: spec.perMinute ? new TokenBucket(spec.perMinute, spec.burst) : null,
+        slots: spec.maxInFlight ? new Slots(spec.maxInFlight) : null,
+      };
+      state.set(key, s);
+    }
+    return s;
+  }
+
+  /**
+   * Take a token from, and a slot in, every applicable limit.
+   *
+   * @param {object} who
+   * @param {object} [who.server]  Normalized registry entry
+   * @param {{name: string, rateLimit?: object}} [who.client]  Authenticated caller
+   * @returns {Promise<() => void>} release, to call when the request completes
+   * @throws {RateLimitError}
+   */
+  async function acquire({ server, client }) {
+    const limits = [];
+    if (server?.rateLimit) limits.push({ label: server.name, ...stateFor(`server:${server.name}`, server.rateLimit) });
+    if (client?.rateLimit) limits.push({ label: `client ${client.name}`, ...stateFor(`client:${client.name}`, client.rateLimit) });
+    if (!limits.length) return () => {};
+
+    // Check every bucket before taking from any, so a rejection costs nothing
+    for (const l of limits) {
+      const wait = l.bucket?.wait() ?? 0;
+      if (wait > 0) {
+        throw new RateLimitError(
+          `Rate limit for ${l.label} exceeded (${l.spec.perMinute} requests/minute); retry in ${Math.ceil(wait)}s`,
+          RATE_LIMITED, Math.ceil(wait));
+      }
+    }
+    for (const l of limits) l.bucket?.take();
+
+    const held = [];
+    const release = () => held.splice(0).forEach(slots => slots.release());
+    for (const l of limits) {
+      if (!l.slots) continue;
+      const timeout = l.spec.queueTimeout ?? DEFAULT_QUEUE_TIMEOUT;
+      try {
+        await l.slots.acquire(timeout * 1000);
+      } catch {
+        release();
+        throw new RateLimitError(
+          `${l.label} is busy: ${l.spec.maxInFlight} request(s) in flight and none finished within ${timeout}s`,
+          QUEUE_TIMEOUT, timeout);
+      }
+      held.push(l.slots);
+    }
+    return release;
+  }
+
+  return { acquire };
+}
@@ -0,0 +1,86 @@
+// =============================================================================
+// Readiness Probing
+// =============================================================================
+// Decides when a freshly spawned child is actually usable, instead of assuming
+// it is once a few seconds pass without a crash:
+//
+//   1. Poll supergateway's /health until it answers (the HTTP side is up).
+//   2. Run a real MCP handshake — initialize, then tools/list — which makes
+//      supergateway spawn the wrapped stdio server and talk to it.
+//
+// Outcome:
+//   ready     both steps succeeded
+//   degraded  /health answers but the handshake failed or timed out
+//   failed    /health never answered within the timeout
+// =============================================================================
+
+import http from 'http';
+import { mcpRequest } from './mcp-client.js';
+
+const POLL_INTERVAL = 250;
+const PROTOCOL_VERSION = '2025-03-26';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function checkHealth(port) {
+  return new Promise((resolvePromise) => {
+    const req = http.get({ host: '127.0.0.1', port, path: '/health', timeout: 2000 }, (res) => {
+      res.resume();
+      resolvePromise(res.statusCode === 200);
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolvePromise(false));
+  });
+}
+
+/**
+ * Probe a child until it is ready, degraded or failed.
+ *
+ * @param {number} port
+ * @param {object} opts
+ * @param {number} opts.timeout          Total budget in ms for both steps
+ * @param {() => boolean} [opts.isAlive]  Stop early once this returns false
+ * @returns {Promise<{state: 'ready'|'degraded'|'failed', error?: string, tools?: number,
+ *   toolNames?: string[]}>}
+ */
+export async function probeReadiness(port, { timeout, isAlive = () => true }) {
+  const deadline = Date.now() + timeout;
+
+  while (!(await checkHealth(port))) {
+    if (!isAlive()) return { state: 'failed', error: 'exited before becoming healthy' };
+    if (Date.now() >= deadline) {
+      return { state: 'failed', error: `health endpoint not up after ${Math.round(timeout / 1000)}s` };
+    }
+    await sleep(POLL_INTERVAL);
+  }
+
+  try {
+    const tools = await handshake(port, { timeout: Math.max(deadline - Date.now(), 1000) });
+    return { state: 'ready', tools: tools.length, toolNames: tools.map(t => t?.name) };
+  } catch (err) {
+    return { state: 'degraded', error: `MCP handshake failed: ${err.message}` };
+  }
+}
+
+/**
+ * One MCP handshake with a child: initialize, then tools/list. In stateless
+ * mode supergateway runs the wrapped server for it, so this is also how the
+ * supervisor notices a server that crashes while supergateway stays up.
+ *
+ * @param {number} port
+ * @param {object} opts
+ * @param {number} opts.timeout  Budget in ms for both requests
+ * @returns {Promise<object[]>}  The tools listed
+ * @throws {Error} if either request fails or the budget runs out
+ */
+export async function handshake(port, { timeout }) {
+  const deadline = Date.now() + timeout;
+  const remaining = () => Math.max(deadline - Date.now(), 1000);
+  await mcpRequest(port, 'initialize', {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: { name: 'mcp-supergateway-hub', version: '1.0.0' },
+  }, { timeout: remaining() });
+  const { tools = [] } = await mcpRequest(port, 'tools/list', undefined, { timeout: remaining() });
+  return tools;
+}
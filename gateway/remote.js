@@ -0,0 +1,106 @@
+// =============================================================================
+// Remote Servers
+// =============================================================================
+// A registry entry with "url" instead of "command" is an MCP server that
+// already runs somewhere else. The hub re-exposes it next to the local ones:
+//
+//   {
+//     "name": "linear",
+//     "url": "https://mcp.linear.app/sse",
+//     "transport": "sse",                  sse or streamableHttp (default: sse
+//                                          when the path ends in /sse)
+//     "headers": { "Authorization": "Bearer ${LINEAR_API_KEY}" },
+//     "secrets": ["LINEAR_API_KEY"]
+//   }
+//
+// Its child is the usual supergateway, whose stdio command is a second
+// supergateway bridging the remote URL to stdio. Headers reach that inner
+// process through its environment (MCP_HEADER_<NAME>), so tokens never appear
+// on a command line. Everything else — tool policy, rate limits, audit,
+// readiness, the aggregated /mcp — works as for a local server.
+//
+// Every server, local or remote, is offered to clients over streamable HTTP,
+// legacy SSE or both, per its "expose" setting (see sse.js).
+// =============================================================================
+
+export const REMOTE_TRANSPORTS = ['sse', 'streamableHttp'];
+export const EXPOSE_MODES = ['streamableHttp', 'sse', 'both'];
+
+const HEADER_NAME_RE = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+
+// POSIX shell single-quoting
+const shellQuote = (s) => (/^[\w@%+=:,./-]+$/.test(s) ? s : `'${s.replace(/'/g, `'\\''`)}'`);
+
+/**
+ * Validate the url/transport/headers/expose fields of an entry; returns
+ * problem strings.
+ *
+ * @param {object} entry  Raw registry entry
+ * @param {string} label  Entry label for messages
+ */
+export function validateRemote(entry, label) {
+  const problems = [];
+  if (entry.url !== undefined && entry.command !== undefined) {
+    problems.push(`${label}: set either "command" (a local server) or "url" (a remote one), not both`);
+  }
+  if (typeof entry.url === 'string' && !/^(https?:\/\/|\$\{)/.test(entry.url)) {
+    problems.push(`${label}: url must be an http:// or https:// URL`);
+  }
+  for (const key of ['transport', 'headers']) {
+    if (entry[key] !== undefined && entry.url === undefined) problems.push(`${label}: "${key}" only applies with "url"`);
+  }
+  if (entry.url !== undefined && entry.args !== undefined) {
+    problems.push(`${label}: "args" only applies with "command"`);
+  }
+  if (typeof entry.transport === 'string' && !REMOTE_TRANSPORTS.includes(entry.transport)) {
+    problems.push(`${label}: transport must be one of ${REMOTE_TRANSPORTS.join(', ')}`);
+  }
+  if (typeof entry.expose === 'string' && !EXPOSE_MODES.includes(entry.expose)) {
+    problems.push(`${label}: expose must be one of ${EXPOSE_MODES.join(', ')}`);
+  }
+  if (entry.headers && typeof entry.headers === 'object' && !Array.isArray(entry.headers)) {
+    for (const [name, value] of Object.entries(entry.headers)) {
+      if (!HEADER_NAME_RE.test(name)) problems.push(`${label}: "${name}" is not a valid header name`);
+      else if (typeof value !== 'string') problems.push(`${label}: headers.${name} must be a string`);
+    }
+  }
+  return problems;
+}
+
+// The remote's transport when the entry doesn't say
+export function remoteTransport(url, transport) {
+  if (transport) return transport;
+  try {
+    return new URL(url).pathname.replace(/\/+$/, '').endsWith('/sse') ? 'sse' : 'streamableHttp';
+  } catch {
+    return 'streamableHttp';
+  }
+}
+
+// Environment variable carrying one header to the inner supergateway
+export function headerVar(name) {
+  return `MCP_HEADER_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * The stdio command for a remote server: supergateway bridging its URL to
+ * stdio. Returned as shell words, ready to join into supergateway's --stdio.
+ *
+ * @param {object} server  Normalized registry entry with url
+ * @param {object} opts
+ * @param {string} opts.sgEntry   supergateway's entry script
+ * @param {string} opts.logLevel  Inner supergateway's log level
+ * @returns {{command: string, args: string[]}}
+ */
+export function remoteCommand(server, { sgEntry, logLevel }) {
+  return {
+    command: shellQuote(process.execPath),
+    args: [
+      shellQuote(sgEntry),
+      `--${server.transport}`, shellQuote(server.url),
+      // Expanded by the shell supergateway starts the command in
+      ...Object.keys(server.headers).flatMap(name => ['--header', `"$${headerVar(name)}"`]),
+      '--logLevel', logLevel,
+    ],
+  };
+}
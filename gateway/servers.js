@@ -1,370 +1,428 @@
 // =============================================================================
-// MCP Server Definitions
+// MCP Server Registry
 // =============================================================================
-// Each entry: { name, command, args, env }
-// env values reference process.env keys from .env
+// Loads and validates the declarative server registry (servers.json, or the
+// file named by MCP_REGISTRY). Each entry:
+//
+//   {
+//     "name": "github",                 unique, [a-z0-9._-]
+//     "command": "npx",
+//     "args": ["-y", "@modelcontextprotocol/server-github"],
+//     "env": { "GITHUB_PERSONAL_ACCESS_TOKEN": "${GITHUB_TOKEN}" },
+//     "secrets": ["GITHUB_TOKEN"],      vars that must be set for it to work
+//     "passEnv": ["AWS_*"],             hub vars passed through unchanged
+//     "tier": 1,
+//     "tags": ["core-dev"],
+//     "enabled": true,                  default true
+//     "port": 3172,                     optional fixed internal port
+//     "alwaysOn": true,                 never lazy-started or idled out
+//     "idleTimeout": 300,               lazy mode: seconds before idle stop
+//     "readyTimeout": 120,              seconds to pass readiness probing
+//     "limits": { "memory": 1024 },     resource limits (see limits.js), plus
+//     "cwd", "user", "group", "privateTmp"
+//     "audit": { "result": true },      what the audit log captures (audit.js)
+//     "tools": { "deny": ["delete_*"] }, tool allow/deny/confirm rules (policy.js)
+//     "rateLimit": { "perMinute": 30 }, request rate and concurrency (ratelimit.js)
+//     "expose": "both",                 streamableHttp (default), sse or both
+//   }
+//
+// A remote server has "url" (plus "transport" and "headers") instead of
+// "command" and "args"; see remote.js.
+//
+// A top-level "profiles" object names sets of servers to run together:
+//
+//   "profiles": {
+//     "data": {
+//       "description": "Databases and monitoring",
+//       "only": ["tag:databases", "tag:monitoring"],
+//       "exclude": ["tag:paid-api"]
+//     }
+//   }
+//
+// Selectors here and in --only/--exclude are a server name, tag:<tag> or
+// tier:<n>.
+//
+// String values in command, args, env, cwd, url and headers support ${VAR} and ${VAR:-default}
+// interpolation from process.env. ${HUB_ROOT} is the repository root. An env
+// entry whose variables are all unset (and have no default) is dropped rather
+// than passed through as an empty string.
+//
+// Children only see the variables named here (see env.js); nothing else from
+// the hub's environment is inherited.
 // =============================================================================
 
+import { readFileSync } from "fs";
 import { resolve, dirname } from "path";
 import { fileURLToPath } from "url";
+import { validateLimits } from "./limits.js";
+import { validateAudit } from "./audit.js";
+import { validateToolRules } from "./policy.js";
+import { validateRateLimit } from "./ratelimit.js";
+import { validateRemote, remoteTransport, headerVar } from "./remote.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const HUB_ROOT = resolve(__dirname, "..");
 
-export function getServers() {
-  const e = process.env;
+export const DEFAULT_REGISTRY = resolve(__dirname, "servers.json");
 
-  return [
-    // TIER 1: Core Dev Tools
-    {
-      name: "filesystem",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-filesystem", "/data"],
-    },
-    {
-      name: "git",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-git"],
-    },
-    {
-      name: "github",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-github"],
-      env: { GITHUB_PERSONAL_ACCESS_TOKEN: e.GITHUB_TOKEN },
-    },
-    {
-      name: "memory",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-memory"],
-    },
-    {
-      name: "sequential-thinking",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-sequential-thinking"],
-    },
-    {
-      name: "fetch",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-fetch"],
-    },
-    {
-      name: "time",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-time"],
-    },
-    { name: "docker", command: "npx", args: ["-y", "mcp-server-docker"] },
+const NAME_RE = /^[a-z0-9][a-z0-9._-]*$/;
+const PASS_ENV_RE = /^[A-Za-z_][A-Za-z0-9_]*\*?$/;
+const VAR_RE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+const PROFILE_FIELDS = ["description", "only", "exclude"];
 
-    // TIER 2: Databases
-    {
-      name: "postgres",
-      command: "npx",
-      args: [
-        "-y",
-        "@modelcontextprotocol/server-postgres",
-        e.POSTGRES_CONNECTION_STRING || "",
-      ],
-    },
-    {
-      name: "sqlite",
-      command: "npx",
-      args: [
-        "-y",
-        "@modelcontextprotocol/server-sqlite",
-        "--db-path",
-        e.SQLITE_DB_PATH || "/data/sqlite",
-      ],
-    },
-    {
-      name: "mongodb",
-      command: "npx",
-      args: ["-y", "mcp-mongo-server"],
-      env: { MONGODB_URI: e.MONGODB_CONNECTION_STRING },
-    },
-    {
-      name: "redis",
-      command: "npx",
-      args: [
-        "-y",
-        "@modelcontextprotocol/server-redis",
-        e.REDIS_URL || "redis://localhost:6379",
-      ],
-    },
+const FIELDS = {
+  name: "string",
+  command: "string",
+  args: "string[]",
+  env: "object",
+  secrets: "string[]",
+  passEnv: "string[]",
+  tier: "number",
+  tags: "string[]",
+  enabled: "boolean",
+  port: "number",
+  alwaysOn: "boolean",
+  idleTimeout: "number",
+  readyTimeout: "number",
+  limits: "object",
+  cwd: "string",
+  user: "string",
+  group: "string",
+  privateTmp: "boolean",
+  audit: "object",
+  tools: "object",
+  rateLimit: "object",
+  url: "string",
+  transport: "string",
+  headers: "object",
+  expose: "string",
+  description: "string",
+};
 
-    // TIER 3: Cloud & Infrastructure
-    {
-      name: "cloudflare",
-      command: "npx",
-      args: ["-y", "@cloudflare/mcp-server-cloudflare"],
-      env: {
-        CLOUDFLARE_API_TOKEN: e.CLOUDFLARE_API_TOKEN,
-        CLOUDFLARE_ACCOUNT_ID: e.CLOUDFLARE_ACCOUNT_ID,
-      },
-    },
-    {
-      name: "terraform",
-      command: "npx",
-      args: ["-y", "@hashicorp/terraform-mcp-server"],
-      env: { TFC_TOKEN: e.TFC_TOKEN },
-    },
-    {
-      name: "kubernetes",
-      command: "npx",
-      args: ["-y", "mcp-server-kubernetes"],
-    },
-    {
-      name: "localstack",
-      command: "npx",
-      args: ["-y", "localstack-mcp-server"],
-    },
+export class RegistryError extends Error {
+  constructor(path, problems) {
+    super(
+      `Invalid server registry ${path}:\n` +
+        problems.map((p) => `  - ${p}`).join("\n"),
+    );
+    this.name = "RegistryError";
+    this.path = path;
+    this.problems = problems;
+  }
+}
 
-    // TIER 4: Browser & Web Automation
-    {
-      name: "playwright",
-      command: "npx",
-      args: ["-y", "@anthropic/mcp-server-playwright"],
-    },
-    {
-      name: "puppeteer",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-puppeteer"],
-    },
-    {
-      name: "brave-search",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-brave-search"],
-      env: { BRAVE_API_KEY: e.BRAVE_API_KEY },
-    },
-    { name: "pagemap", command: "npx", args: ["-y", "pagemap-mcp"] },
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return value.every((v) => typeof v === "string") ? "string[]" : "array";
+  }
+  return value === null ? "null" : typeof value;
+}
 
-    // TIER 5: Communication & Collaboration
-    {
-      name: "slack",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-slack"],
-      env: {
-        SLACK_BOT_TOKEN: e.SLACK_BOT_TOKEN,
-        SLACK_TEAM_ID: e.SLACK_TEAM_ID,
-      },
-    },
-    {
-      name: "discord",
-      command: "npx",
-      args: ["-y", "mcp-discord"],
-      env: { DISCORD_TOKEN: e.DISCORD_BOT_TOKEN },
-    },
-    {
-      name: "notion",
-      command: "npx",
-      args: ["-y", "notion-mcp-server"],
-      env: { NOTION_API_KEY: e.NOTION_API_KEY },
-    },
+// Replace ${VAR} references; returns { value, unresolved } where unresolved
+// is true when every reference was unset without a default
+function interpolate(str, env) {
+  let refs = 0;
+  let missing = 0;
+  const value = str.replace(VAR_RE, (_, key, fallback) => {
+    refs++;
+    const v = key === "HUB_ROOT" ? HUB_ROOT : env[key];
+    if (v !== undefined && v !== "") return v;
+    if (fallback !== undefined) return fallback;
+    missing++;
+    return "";
+  });
+  return { value, unresolved: refs > 0 && missing === refs };
+}
 
-    // TIER 6: Creative & Design
-    {
-      name: "figma",
-      command: "npx",
-      args: ["-y", "@anthropic/figma-mcp-server"],
-      env: { FIGMA_ACCESS_TOKEN: e.FIGMA_ACCESS_TOKEN },
-    },
-    { name: "blender", command: "uvx", args: ["blender-mcp"] },
-    { name: "ableton", command: "uvx", args: ["ableton-mcp"] },
-    { name: "reaper", command: "npx", args: ["-y", "reaper-mcp"] },
-    { name: "svgmaker", command: "npx", args: ["-y", "svgmaker-mcp"] },
-    { name: "manim", command: "uvx", args: ["manim-mcp-server"] },
-    {
-      name: "davinci-resolve",
-      command: "npx",
-      args: ["-y", "davinci-resolve-mcp"],
-    },
+function validateEntry(entry, label) {
+  const problems = [];
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return [`${label}: must be an object`];
+  }
+  for (const [key, value] of Object.entries(entry)) {
+    const expected = FIELDS[key];
+    if (!expected) {
+      problems.push(`${label}: unknown field "${key}"`);
+    } else if (typeOf(value) !== expected) {
+      problems.push(`${label}: "${key}" must be ${expected}, got ${typeOf(value)}`);
+    }
+  }
+  if (entry.name === undefined) problems.push(`${label}: missing "name"`);
+  if (entry.command === undefined && entry.url === undefined) {
+    problems.push(`${label}: missing "command" (or "url" for a remote server)`);
+  }
+  problems.push(...validateRemote(entry, label));
+  if (typeof entry.name === "string" && !NAME_RE.test(entry.name)) {
+    problems.push(`${label}: name must match ${NAME_RE}`);
+  } else if (typeof entry.name === "string" && entry.name.includes("__")) {
+    // The aggregated /mcp endpoint namespaces tools as <server>__<tool>
+    problems.push(`${label}: name must not contain "__"`);
+  }
+  if (typeOf(entry.env) === "object") {
+    for (const [k, v] of Object.entries(entry.env)) {
+      if (typeof v !== "string") {
+        problems.push(`${label}: env.${k} must be a string`);
+      }
+    }
+  }
+  for (const pattern of Array.isArray(entry.passEnv) ? entry.passEnv : []) {
+    if (typeof pattern === "string" && !PASS_ENV_RE.test(pattern)) {
+      problems.push(`${label}: passEnv "${pattern}" must be a variable name, optionally ending in *`);
+    }
+  }
+  if (
+    typeof entry.port === "number" &&
+    (!Number.isInteger(entry.port) || entry.port < 1 || entry.port > 65535)
+  ) {
+    problems.push(`${label}: port must be an integer between 1 and 65535`);
+  }
+  if (typeOf(entry.limits) === "object") {
+    problems.push(...validateLimits(entry.limits, label));
+  }
+  if (typeOf(entry.audit) === "object") {
+    problems.push(...validateAudit(entry.audit, label));
+  }
+  if (typeOf(entry.tools) === "object") {
+    problems.push(...validateToolRules(entry.tools, label));
+  }
+  if (typeOf(entry.rateLimit) === "object") {
+    problems.push(...validateRateLimit(entry.rateLimit, label));
+  }
+  for (const key of ["idleTimeout", "readyTimeout"]) {
+    if (typeof entry[key] === "number" && !(entry[key] > 0)) {
+      problems.push(`${label}: ${key} must be a positive number of seconds`);
+    }
+  }
+  return problems;
+}
 
-    // TIER 7: Smart Home & IoT
-    {
-      name: "home-assistant",
-      command: "uvx",
-      args: ["ha-mcp"],
-      env: { HASS_URL: e.HASS_URL, HASS_TOKEN: e.HASS_TOKEN },
-    },
+function normalize(entry, env) {
+  const server = {
+    name: entry.name,
+    command: entry.command ? interpolate(entry.command, env).value : null,
+    args: (entry.args || []).map((a) => interpolate(a, env).value),
+    // Hub variables interpolated into args, for the --env report
+    argRefs: [...new Set([...(entry.args || []), entry.url || ""].flatMap((a) => [...a.matchAll(VAR_RE)].map((m) => m[1])))]
+      .filter((k) => k !== "HUB_ROOT"),
+    secrets: entry.secrets || [],
+    passEnv: entry.passEnv || [],
+    tier: entry.tier ?? null,
+    tags: entry.tags || [],
+    enabled: entry.enabled !== false,
+    port: entry.port ?? null,
+    alwaysOn: entry.alwaysOn === true,
+    idleTimeout: entry.idleTimeout ?? null,
+    readyTimeout: entry.readyTimeout ?? null,
+    limits: entry.limits || {},
+    cwd: entry.cwd ? interpolate(entry.cwd, env).value : null,
+    user: entry.user ?? null,
+    group: entry.group ?? null,
+    privateTmp: entry.privateTmp === true,
+    audit: {
+      arguments: entry.audit?.arguments !== false,
+      result: entry.audit?.result === true,
+    },
+    tools: {
+      allow: entry.tools?.allow || [],
+      deny: entry.tools?.deny || [],
+      confirm: entry.tools?.confirm || [],
+    },
+    rateLimit: entry.rateLimit ?? null,
+    url: null,
+    expose: entry.expose ?? "streamableHttp",
+  };
+  if (entry.description) server.description = entry.description;
+  if (entry.env) {
+    server.env = {};
+    // Which hub variables each env entry is built from, for the --env report
+    server.envRefs = {};
+    for (const [k, v] of Object.entries(entry.env)) {
+      const { value, unresolved } = interpolate(v, env);
+      if (!unresolved) {
+        server.env[k] = value;
+        server.envRefs[k] = [...v.matchAll(VAR_RE)].map((m) => m[1]);
+      }
+    }
+  }
+  if (entry.url) {
+    server.url = interpolate(entry.url, env).value;
+    server.transport = remoteTransport(server.url, entry.transport);
+    server.headers = {};
+    server.env = server.env || {};
+    server.envRefs = server.envRefs || {};
+    // Headers travel to the inner supergateway as variables (see remote.js)
+    for (const [k, v] of Object.entries(entry.headers || {})) {
+      const { value, unresolved } = interpolate(v, env);
+      if (unresolved) continue;
+      server.headers[k] = value;
+      server.env[headerVar(k)] = `${k}: ${value}`;
+      server.envRefs[headerVar(k)] = [...v.matchAll(VAR_RE)].map((m) => m[1]);
+    }
+  }
+  return server;
+}
 
-    // TIER 8: Finance & Crypto
-    {
-      name: "coingecko",
-      command: "npx",
-      args: ["-y", "coingecko-mcp-server"],
-      env: { COINGECKO_API_KEY: e.COINGECKO_API_KEY },
-    },
-    {
-      name: "alpaca",
-      command: "npx",
-      args: ["-y", "@alpacahq/alpaca-mcp-server"],
-      env: {
-        ALPACA_API_KEY: e.ALPACA_API_KEY,
-        ALPACA_API_SECRET: e.ALPACA_API_SECRET,
-        ALPACA_PAPER: e.ALPACA_PAPER,
-      },
-    },
-    {
-      name: "crypto-trading",
-      command: "npx",
-      args: ["-y", "crypto-trading-mcp"],
-    },
-    {
-      name: "crypto-portfolio",
-      command: "uvx",
-      args: ["crypto-portfolio-mcp"],
-    },
-    {
-      name: "alphavantage",
-      command: "npx",
-      args: ["-y", "alphavantage-mcp"],
-      env: { ALPHAVANTAGE_API_KEY: e.ALPHAVANTAGE_API_KEY },
-    },
-    {
-      name: "bankless-onchain",
-      command: "npx",
-      args: ["-y", "@bankless/onchain-mcp"],
-    },
+function validateProfiles(profiles, servers) {
+  const problems = [];
+  if (typeOf(profiles) !== "object") {
+    return ['"profiles" must be an object of named profiles'];
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    const label = `profile "${name}"`;
+    if (!NAME_RE.test(name)) problems.push(`${label}: name must match ${NAME_RE}`);
+    if (typeOf(profile) !== "object") {
+      problems.push(`${label}: must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(profile)) {
+      if (!PROFILE_FIELDS.includes(key)) {
+        problems.push(`${label}: unknown field "${key}" (use ${PROFILE_FIELDS.join(", ")})`);
+      } else if (key === "description" ? typeof value !== "string" : typeOf(value) !== "string[]") {
+        problems.push(`${label}: "${key}" must be ${key === "description" ? "string" : "string[]"}`);
+      } else if (key !== "description") {
+        problems.push(
+          ...unknownSelectors(servers, value).map((sel) => `${label}: ${key} "${sel}" matches no server`),
+        );
+      }
+    }
+  }
+  return problems;
+}
 
-    // TIER 9: Monitoring & Observability
-    {
-      name: "sentry",
-      command: "npx",
-      args: ["-y", "@sentry/mcp-server"],
-      env: { SENTRY_AUTH_TOKEN: e.SENTRY_AUTH_TOKEN, SENTRY_ORG: e.SENTRY_ORG },
-    },
-    {
-      name: "axiom",
-      command: "npx",
-      args: ["-y", "@axiom/mcp-server"],
-      env: { AXIOM_API_TOKEN: e.AXIOM_API_TOKEN, AXIOM_ORG_ID: e.AXIOM_ORG_ID },
-    },
+/**
+ * Whether a registry entry matches a selector: its name, tag:<tag> or
+ * tier:<n>.
+ *
+ * @param {object} server  Normalized registry entry
+ * @param {string} selector
+ */
+export function matchesSelector(server, selector) {
+  if (selector.startsWith("tag:")) return server.tags.includes(selector.slice(4));
+  if (selector.startsWith("tier:")) return String(server.tier) === selector.slice(5);
+  return server.name === selector;
+}
 
-    // TIER 10: Data & APIs
-    { name: "anyquery", command: "npx", args: ["-y", "anyquery-mcp"] },
-    {
-      name: "pipedream",
-      command: "npx",
-      args: ["-y", "@pipedream/mcp-server"],
-    },
-    {
-      name: "apify",
-      command: "npx",
-      args: ["-y", "apify-mcp-server"],
-      env: { APIFY_API_TOKEN: e.APIFY_API_TOKEN },
-    },
-    {
-      name: "e2b",
-      command: "npx",
-      args: ["-y", "e2b-mcp-server"],
-      env: { E2B_API_KEY: e.E2B_API_KEY },
-    },
-    { name: "mindsdb", command: "uvx", args: ["mindsdb-mcp-server"] },
+/**
+ * Split a comma-separated --only/--exclude value into selectors.
+ *
+ * @param {string} [value]
+ */
+export function parseSelectors(value) {
+  return (value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
 
-    // TIER 11: AI Model Bridges
-    {
-      name: "ollama-assistant",
-      command: "node",
-      args: [
-        resolve(__dirname, "..", "servers", "ollama-assistant", "index.js"),
-      ],
-      env: { OLLAMA_HOST: e.OLLAMA_HOST, OLLAMA_MODEL: e.OLLAMA_MODEL },
-    },
-    {
-      name: "ollama-bridge",
-      command: "npx",
-      args: ["-y", "mcp-server-ollama-bridge"],
-      env: { OLLAMA_HOST: e.OLLAMA_HOST },
-    },
-    {
-      name: "openai-bridge",
-      command: "npx",
-      args: ["-y", "mcp-server-openai-bridge"],
-      env: { OPENAI_API_KEY: e.OPENAI_API_KEY },
-    },
-    {
-      name: "gemini-bridge",
-      command: "npx",
-      args: ["-y", "mcp-server-gemini-bridge"],
-      env: { GOOGLE_API_KEY: e.GOOGLE_API_KEY },
-    },
-    {
-      name: "openai-image",
-      command: "npx",
-      args: ["-y", "openai-gpt-image-mcp"],
-      env: { OPENAI_API_KEY: e.OPENAI_API_KEY },
-    },
-    {
-      name: "google-imagen",
-      command: "npx",
-      args: ["-y", "imagen3-mcp"],
-      env: { GOOGLE_API_KEY: e.GOOGLE_API_KEY },
-    },
+/**
+ * The enabled entries a profile and --only/--exclude select, in registry
+ * order. A profile narrows the registry first; --only then narrows the
+ * profile's set and --exclude removes from it.
+ *
+ * @param {object[]} servers  Normalized registry entries
+ * @param {object} [opts]
+ * @param {{only?: string[], exclude?: string[]}} [opts.profile]
+ * @param {string[]} [opts.only]     Selectors; empty means every server
+ * @param {string[]} [opts.exclude]  Selectors
+ */
+export function selectServers(servers, { profile, only = [], exclude = [] } = {}) {
+  const any = (s, selectors) => selectors.some((sel) => matchesSelector(s, sel));
+  return servers.filter(
+    (s) =>
+      s.enabled &&
+      (!profile?.only?.length || any(s, profile.only)) &&
+      !any(s, profile?.exclude || []) &&
+      (!only.length || any(s, only)) &&
+      !any(s, exclude),
+  );
+}
 
-    // TIER 12: Gaming & Game Dev
-    { name: "aseprite", command: "npx", args: ["-y", "aseprite-mcp"] },
+/**
+ * Selectors among the given ones that match no registry entry, enabled or
+ * not, for reporting typos on the command line.
+ *
+ * @param {object[]} servers  Normalized registry entries
+ * @param {string[]} selectors
+ */
+export function unknownSelectors(servers, selectors) {
+  return selectors.filter((sel) => !servers.some((s) => matchesSelector(s, sel)));
+}
 
-    // TIER 13: DevOps & Code Quality
-    {
-      name: "atlassian",
-      command: "npx",
-      args: ["-y", "@atlassian/mcp-server"],
-      env: {
-        ATLASSIAN_URL: e.ATLASSIAN_URL,
-        ATLASSIAN_EMAIL: e.ATLASSIAN_EMAIL,
-        ATLASSIAN_API_TOKEN: e.ATLASSIAN_API_TOKEN,
-      },
-    },
-    {
-      name: "azure-devops",
-      command: "npx",
-      args: ["-y", "azure-devops-mcp"],
-      env: {
-        AZURE_DEVOPS_ORG: e.AZURE_DEVOPS_ORG,
-        AZURE_DEVOPS_TOKEN: e.AZURE_DEVOPS_TOKEN,
-      },
-    },
-    {
-      name: "gitlab",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-gitlab"],
-      env: { GITLAB_TOKEN: e.GITLAB_TOKEN, GITLAB_URL: e.GITLAB_URL },
-    },
+/**
+ * Validate and interpolate registry contents already in memory — the parsed
+ * servers.json, or entries built by a program embedding the hub. Returns
+ * every entry, including disabled ones, and the named profiles. Throws
+ * RegistryError listing all problems found.
+ *
+ * @param {{servers: object[], profiles?: object}} raw
+ * @param {object} [opts]
+ * @param {object} [opts.env]     Variables for ${VAR} interpolation
+ * @param {string} [opts.source]  Where the entries came from, for messages
+ * @returns {{servers: object[], profiles: Object<string, {description?: string, only?: string[], exclude?: string[]}>}}
+ */
+export function parseRegistry(raw, { env = process.env, source = "(in memory)" } = {}) {
+  if (!Array.isArray(raw?.servers)) {
+    throw new RegistryError(source, ['expected a top-level "servers" array']);
+  }
 
-    // TIER 14: Misc Power Tools
-    {
-      name: "youtube-transcript",
-      command: "npx",
-      args: ["-y", "mcp-server-youtube-transcript"],
-    },
-    {
-      name: "spotify",
-      command: "npx",
-      args: ["-y", "spotify-mcp"],
-      env: {
-        SPOTIFY_CLIENT_ID: e.SPOTIFY_CLIENT_ID,
-        SPOTIFY_CLIENT_SECRET: e.SPOTIFY_CLIENT_SECRET,
-      },
-    },
-    { name: "open-library", command: "npx", args: ["-y", "mcp-open-library"] },
-    {
-      name: "tmdb",
-      command: "npx",
-      args: ["-y", "wizzy-mcp-tmdb"],
-      env: { TMDB_API_KEY: e.TMDB_API_KEY },
-    },
-    { name: "personalization", command: "uvx", args: ["personalization-mcp"] },
+  const problems = [];
+  const names = new Map();
+  const ports = new Map();
+  raw.servers.forEach((entry, i) => {
+    const label = `entry #${i + 1}${entry?.name ? ` ("${entry.name}")` : ""}`;
+    problems.push(...validateEntry(entry, label));
+    if (typeof entry?.name === "string") {
+      if (names.has(entry.name)) {
+        problems.push(`${label}: duplicate name, first used by ${names.get(entry.name)}`);
+      } else {
+        names.set(entry.name, label);
+      }
+    }
+    if (typeof entry?.port === "number") {
+      if (ports.has(entry.port)) {
+        problems.push(`${label}: port ${entry.port} already used by ${ports.get(entry.port)}`);
+      } else {
+        ports.set(entry.port, label);
+      }
+    }
+  });
+  if (problems.length) throw new RegistryError(source, problems);
 
-    // TIER 15: Formal Verification
-    {
-      name: "quint",
-      command: "node",
-      args: [resolve(__dirname, "..", "servers", "quint", "index.js")],
-    },
+  const servers = raw.servers.map((entry) => normalize(entry, env));
+  const profiles = raw.profiles ?? {};
+  problems.push(...validateProfiles(profiles, servers));
+  if (problems.length) throw new RegistryError(source, problems);
+  return { servers, profiles };
+}
 
-    // TIER 16: Meta / Infrastructure
-    {
-      name: "everything",
-      command: "npx",
-      args: ["-y", "@modelcontextprotocol/server-everything"],
-    },
-    { name: "forage", command: "npx", args: ["-y", "forage-mcp"] },
-  ];
+/**
+ * Read a registry file and parse it (see parseRegistry).
+ *
+ * @param {string} [path]
+ * @param {object} [env]  Variables for ${VAR} interpolation
+ */
+export function readRegistry(
+  path = process.env.MCP_REGISTRY || DEFAULT_REGISTRY,
+  env = process.env,
+) {
+  path = resolve(__dirname, path);
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    throw new RegistryError(path, [err.message]);
+  }
+  return parseRegistry(raw, { env, source: path });
+}
+
+/**
+ * Every registry entry, including disabled ones (see readRegistry).
+ *
+ * @param {string} [path]
+ * @param {object} [env]
+ */
+export function loadRegistry(path, env) {
+  return readRegistry(path, env).servers;
+}
+
+// Enabled servers from the registry, in file order
+export function getServers(path) {
+  return loadRegistry(path).filter((s) => s.enabled);
 }
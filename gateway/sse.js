@@ -0,0 +1,131 @@
+// =============================================================================
+// SSE Transport
+// =============================================================================
+// Servers with "expose": "sse" or "both" are also offered over the legacy
+// HTTP+SSE transport (MCP 2024-11-05), for clients that predate streamable
+// HTTP:
+//
+//   GET  /<name>/sse                    event stream; its first event is the
+//                                       URL to post this session's messages to
+//   POST /<name>/message?sessionId=…    a JSON-RPC message or batch; answered
+//                                       202, the reply arrives on the stream
+//
+// Children always speak streamable HTTP. Each posted message takes the same
+// path as a POST to /<name>/mcp — tool policy, rate limits, audit, metrics —
+// and whatever the child answers, JSON or an event stream, is re-emitted on
+// the session's stream as `message` events.
+// =============================================================================
+
+import { randomUUID } from 'crypto';
+import { Writable } from 'stream';
+import { parseReplies } from './audit.js';
+
+// Comment lines keep idle streams from being cut by proxies
+const KEEPALIVE_INTERVAL = 30000;
+
+// Collects what the proxy would have sent to a streamable HTTP client
+class CapturedResponse extends Writable {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.headersSent = false;
+    this.chunks = [];
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+  }
+
+  writeHead(status, reason, headers) {
+    this.statusCode = status;
+    for (const [k, v] of Object.entries((typeof reason === 'object' ? reason : headers) || {})) this.setHeader(k, v);
+    this.headersSent = true;
+    return this;
+  }
+
+  flushHeaders() {}
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(chunk);
+    callback();
+  }
+}
+
+/**
+ * Track open SSE sessions.
+ */
+export function createSseSessions() {
+  // id → session
+  const sessions = new Map();
+
+  /**
+   * Answer GET /<name>/sse with an event stream and register its session.
+   *
+   * @param {http.IncomingMessage} req  Authenticated request
+   * @param {http.ServerResponse} res
+   * @param {string} name  Server the session talks to
+   */
+  function open(req, res, name) {
+    const id = randomUUID();
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    const write = (event, data) => {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${data}\n\n`);
+    };
+    const timer = setInterval(() => {
+      if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, KEEPALIVE_INTERVAL);
+    const session = {
+      id,
+      name,
+      client: req.hubClient?.name ?? null,
+
+      /**
+       * Send one posted body through forward() and emit the replies.
+       *
+       * @param {http.IncomingMessage} post  The POST /message request
+       * @param {string} body                Its JSON-RPC body
+       * @param {(req: object, res: Writable) => void} forward
+       *   The /<name>/mcp POST path, given a request-like object and a
+       *   response to write to
+       */
+      relay(post, body, forward) {
+        const inner = {
+          method: 'POST',
+          headers: { ...post.headers, 'content-type': 'application/json', accept: 'application/json, text/event-stream' },
+          // The stream's socket: the exchange is abandoned if the stream closes
+          socket: req.socket,
+          hubClient: post.hubClient,
+          hubRemote: post.hubRemote,
+        };
+        const captured = new CapturedResponse();
+        captured.on('finish', () => {
+          const text = Buffer.concat(captured.chunks).toString('utf-8');
+          const replies = parseReplies(text, String(captured.headers['content-type'] || ''));
+          if (!replies.length && captured.statusCode >= 400) {
+            // Not JSON-RPC (e.g. a 502 from a dead child): answer each request
+            for (const msg of parseReplies(body)) {
+              if (msg?.id === undefined) continue;
+              replies.push({ jsonrpc: '2.0', id: msg.id, error: { code: -32603, message: `${name} failed with HTTP ${captured.statusCode}` } });
+            }
+          }
+          for (const reply of replies) write('message', JSON.stringify(reply));
+        });
+        forward(inner, captured);
+      },
+    };
+    sessions.set(id, session);
+    res.on('close', () => {
+      clearInterval(timer);
+      sessions.delete(id);
+    });
+    write('endpoint', `/${encodeURIComponent(name)}/message?sessionId=${id}`);
+    return session;
+  }
+
+  return { open, get: (id) => sessions.get(id) };
+}
@@ -0,0 +1,351 @@
+// =============================================================================
+// Child Supervisor
+// =============================================================================
+// One Supervisor owns one server's supergateway child for its whole life:
+// spawning, readiness probing, respawning, and teardown.
+//
+//   - Each child runs in its own process group, so stop() and crash cleanup
+//     signal the whole tree (the npx/uvx/sh grandchildren supergateway spawns
+//     included): SIGTERM first, SIGKILL after a grace period.
+//   - Respawns back off exponentially. The backoff resets once a child has
+//     stayed up for the stable-uptime window, so a server that crashes once a
+//     week never accumulates its way to the limit.
+//   - After maxRespawns consecutive failures the circuit breaker opens (state
+//     "dead") and nothing more is spawned until reset() is called.
+//   - A group over its memory limit is killed (enforceMemory) and its exit is
+//     recorded with reason "memory-limit" rather than as a crash.
+//   - supergateway outlives the stdio server it wraps (stateless mode runs
+//     one per request), so a server that crashes or exits would otherwise
+//     leave supergateway healthy. Once ready or degraded, the child's MCP
+//     handshake is re-run every healthInterval: a degraded child that passes
+//     is promoted to ready, and after healthFailures failures in a row it is
+//     killed (reason "unhealthy") and respawned like a crashed child. A
+//     respawned child that is not ready is recycled the same way.
+//
+// States: stopped → starting → ready | degraded → (exit) → respawning → …
+//         starting → failed (initial launch only)     respawning → dead
+//
+// Events: spawn(pid), ready(result), exit({code, signal}),
+//         respawn({delay, attempt}), unhealthy(error), dead(), failed(error),
+//         limit({kind, rss, limit})
+// =============================================================================
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { mkdtempSync, chownSync, rmSync } from 'fs';
+import { setPriority, tmpdir } from 'os';
+import { join } from 'path';
+import { handshake, probeReadiness } from './readiness.js';
+
+export const SUPERVISOR_DEFAULTS = {
+  maxRespawns: 10,
+  respawnBaseDelay: 2000,
+  respawnMaxDelay: 60000,
+  // A child that stayed up this long resets the backoff
+  stableUptime: 60000,
+  // Time between SIGTERM and SIGKILL
+  killGrace: 5000,
+  readyTimeout: 60000,
+  // Bytes of RSS for the whole process group; null for no limit
+  memoryLimit: null,
+  // Handshake check of a ready child: interval (null for none), budget, and
+  // consecutive failures before it is recycled
+  healthInterval: 30000,
+  healthTimeout: 10000,
+  healthFailures: 2,
+  // Keep the child's stdout in the log. supergateway's stdout is its info
+  // stream, which carries every JSON-RPC message in full.
+  logStdout: true,
+};
+
+const isAlive = (child) => child && child.exitCode === null && child.signalCode === null;
+
+// Signal a child's whole process group; ESRCH just means it is already gone
+function killGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    try {
+      child.kill(signal);
+    } catch {
+      // already exited
+    }
+  }
+}
+
+export class Supervisor extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {object} opts.server  Registry entry
+   * @param {number} opts.port
+   * @param {() => {command: string, args: string[], env: object, cwd?: string,
+   *   uid?: number, gid?: number, nice?: number, privateTmp?: boolean}} opts.spawnSpec
+   *   Called for every (re)spawn
+   * @param {object} opts.log  Output sink from createServerLog
+   * @param {object} [opts.options]  Overrides for SUPERVISOR_DEFAULTS
+   */
+  constructor({ server, port, spawnSpec, log, options = {} }) {
+    super();
+    this.server = server;
+    this.name = server.name;
+    this.port = port;
+    this.spawnSpec = spawnSpec;
+    this.log = log;
+    this.options = { ...SUPERVISOR_DEFAULTS, ...options };
+
+    this.state = 'stopped';
+    this.child = null;
+    this.pid = null;
+    this.startedAt = null;
+    this.restarts = 0;
+    this.consecutiveFailures = 0;
+    this.lastExit = null;
+    this.readyError = null;
+    this.tools = null;
+    this.stopping = false;
+    this.respawnTimer = null;
+    this.healthTimer = null;
+    // Set when the hub killed the current child for exceeding a limit
+    this.limitHit = null;
+    // Set when the current child was killed for failing its health checks
+    this.unhealthy = null;
+  }
+
+  get up() {
+    return this.state === 'ready' || this.state === 'degraded';
+  }
+
+  /**
+   * Initial launch. Resolves true once the child is ready or degraded, false
+   * if it exits or never becomes healthy (state "failed", no respawn).
+   */
+  start() {
+    this.stopping = false;
+    this.consecutiveFailures = 0;
+    return this._launch({ initial: true });
+  }
+
+  // Close the circuit breaker and launch again
+  reset() {
+    clearTimeout(this.respawnTimer);
+    this.restarts = 0;
+    return this.start();
+  }
+
+  _spawn() {
+    const { command, args, env, cwd, uid, gid, nice, privateTmp } = this.spawnSpec();
+    let tmp = null;
+    if (privateTmp) {
+      tmp = mkdtempSync(join(tmpdir(), `mcp-${this.name}-`));
+      if (uid !== undefined) chownSync(tmp, uid, gid ?? -1);
+    }
+    const child = spawn(command, args, {
+      env: tmp ? { ...env, TMPDIR: tmp, TMP: tmp, TEMP: tmp } : env,
+      cwd: cwd || undefined,
+      uid,
+      gid,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // New process group, so the whole tree can be signalled at once
+      detached: true,
+    });
+    if (tmp) child.once('exit', () => rmSync(tmp, { recursive: true, force: true }));
+    // Set before supergateway starts the server, which inherits it
+    if (nice && child.pid) {
+      try {
+        setPriority(child.pid, nice);
+      } catch (err) {
+        this.log.marker(`--- could not set nice ${nice}: ${err.message} ---`);
+      }
+    }
+    this.child = child;
+    this.limitHit = null;
+    this.unhealthy = null;
+    this.pid = child.pid;
+    this.startedAt = Date.now();
+    this.state = 'starting';
+    this.readyError = null;
+    this.tools = null;
+
+    if (child.pid) this.log.marker(`--- spawned pid ${child.pid} ---`);
+    if (this.options.logStdout) {
+      child.stdout.on('data', (data) => this.log.write('stdout', data));
+    } else {
+      child.stdout.resume();
+    }
+    child.stderr.on('data', (data) => this.log.write('stderr', data));
+    if (child.pid) this.emit('spawn', child.pid);
+    return child;
+  }
+
+  _launch({ initial }) {
+    const child = this._spawn();
+
+    return new Promise((resolvePromise) => {
+      let settled = false;
+      const settle = (ok) => {
+        if (!settled) {
+          settled = true;
+          resolvePromise(ok);
+        }
+      };
+      const fail = (error) => {
+        this.state = 'failed';
+        this.readyError = error;
+        this.emit('failed', error);
+        settle(false);
+      };
+
+      probeReadiness(this.port, {
+        timeout: this.options.readyTimeout,
+        isAlive: () => isAlive(child) && !this.stopping,
+      }).then((result) => {
+        if (this.child !== child || this.stopping || !isAlive(child)) return;
+        if (result.state === 'failed' && initial) {
+          // Settle first so the exit handler neither re-reports nor respawns
+          fail(result.error);
+          this.stopping = true;
+          killGroup(child, 'SIGKILL');
+          return;
+        }
+        if (result.state !== 'ready' && !initial) {
+          // A respawned child that never got healthy, or whose server still
+          // can't complete a handshake: recycle it
+          this._recycle(child, result.error);
+          return;
+        }
+        this.state = result.state;
+        this.readyError = result.error || null;
+        this.tools = result.tools ?? null;
+        this.emit('ready', result);
+        this._watchHealth(child);
+        settle(true);
+      });
+
+      child.on('error', (err) => {
+        if (initial && !settled) fail(err.message);
+      });
+
+      child.on('exit', (code, signal) => {
+        clearTimeout(this.healthTimer);
+        this.lastExit = { code, signal, at: Date.now() };
+        if (this.limitHit) this.lastExit.reason = `${this.limitHit.kind}-limit`;
+        else if (this.unhealthy) this.lastExit.reason = 'unhealthy';
+        this.emit('exit', { code, signal });
+        // Take any grandchildren down with it
+        killGroup(child, 'SIGKILL');
+        if (this.child !== child) return;
+
+        if (initial && !settled) {
+          const stderr = this.log.tail(3, 'stderr').filter(Boolean);
+          const status = this.limitHit
+            ? `killed for exceeding its ${this.limitHit.kind} limit`
+            : signal ? `signal ${signal}` : `exit code ${code}`;
+          fail(stderr.length ? `${status}: ${stderr.join(' | ')}` : status);
+          return;
+        }
+        if (this.stopping) return;
+        this._scheduleRespawn();
+      });
+    });
+  }
+
+  // Re-run the handshake while child is up: promote it if it was degraded,
+  // recycle it after healthFailures failed checks in a row
+  _watchHealth(child) {
+    const { healthInterval, healthTimeout, healthFailures } = this.options;
+    if (!healthInterval) return;
+    const current = () => this.child === child && !this.stopping && isAlive(child);
+    let failures = 0;
+    const check = async () => {
+      try {
+        const tools = await handshake(this.port, { timeout: healthTimeout });
+        failures = 0;
+        if (current() && this.state === 'degraded') {
+          this.state = 'ready';
+          this.readyError = null;
+          this.tools = tools.length;
+          this.emit('ready', { state: 'ready', tools: tools.length, toolNames: tools.map(t => t?.name) });
+        }
+      } catch (err) {
+        if (current() && ++failures >= healthFailures) {
+          this._recycle(child, `health check failed ${failures} times in a row: ${err.message}`);
+          return;
+        }
+      }
+      if (current()) this.healthTimer = setTimeout(check, healthInterval);
+    };
+    this.healthTimer = setTimeout(check, healthInterval);
+  }
+
+  // Kill a child whose server stopped answering; its exit schedules the respawn
+  _recycle(child, error) {
+    this.unhealthy = error;
+    this.readyError = error;
+    this.emit('unhealthy', error);
+    killGroup(child, 'SIGKILL');
+  }
+
+  _scheduleRespawn() {
+    const { maxRespawns, respawnBaseDelay, respawnMaxDelay, stableUptime } = this.options;
+    if (Date.now() - this.startedAt >= stableUptime) {
+      this.consecutiveFailures = 0;
+    }
+    this.consecutiveFailures++;
+
+    if (this.consecutiveFailures > maxRespawns) {
+      this.state = 'dead';
+      this.emit('dead');
+      return;
+    }
+
+    this.restarts++;
+    this.state = 'respawning';
+    const delay = Math.min(respawnBaseDelay * Math.pow(2, this.consecutiveFailures - 1), respawnMaxDelay);
+    this.emit('respawn', { delay, attempt: this.consecutiveFailures });
+    this.respawnTimer = setTimeout(() => {
+      if (!this.stopping) this._launch({ initial: false });
+    }, delay);
+  }
+
+  /**
+   * Kill the child if its process group is over the memory limit. Called by
+   * the hub's watchdog with one /proc snapshot for every supervisor.
+   *
+   * @param {Map<number, {rss: number}>} usage  From groupUsage()
+   */
+  enforceMemory(usage) {
+    const limit = this.options.memoryLimit;
+    const child = this.child;
+    if (!limit || !isAlive(child) || this.limitHit) return;
+    const rss = usage.get(child.pid)?.rss;
+    if (!(rss > limit)) return;
+    this.limitHit = { kind: 'memory', rss, limit };
+    this.emit('limit', this.limitHit);
+    killGroup(child, 'SIGKILL');
+  }
+
+  /**
+   * Stop for good: cancel any pending respawn, SIGTERM the process group,
+   * SIGKILL it after the grace period, and resolve once the child has exited.
+   */
+  stop() {
+    this.stopping = true;
+    clearTimeout(this.respawnTimer);
+    clearTimeout(this.healthTimer);
+    const child = this.child;
+    if (!isAlive(child)) {
+      if (child) killGroup(child, 'SIGKILL');
+      this.state = 'stopped';
+      return Promise.resolve();
+    }
+    return new Promise((resolvePromise) => {
+      const force = setTimeout(() => killGroup(child, 'SIGKILL'), this.options.killGrace);
+      child.once('exit', () => {
+        clearTimeout(force);
+        this.state = 'stopped';
+        resolvePromise();
+      });
+      killGroup(child, 'SIGTERM');
+    });
+  }
+}
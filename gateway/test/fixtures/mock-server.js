@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// =============================================================================
+// Mock MCP stdio server for the integration tests
+// =============================================================================
+// Answers initialize, tools/list and tools/call (an "echo" tool) over
+// newline-delimited JSON-RPC on stdin/stdout. Flags script its misbehaviour:
+//
+//   --tools <n>         tools to list (default 2)
+//   --slow <ms>         wait this long before answering anything
+//   --hang              read requests but never answer
+//   --exit <code>       exit with this code before reading anything
+//   --exit-if <path>    exit 1 at once while this file exists
+//   --crash-after <ms>  exit 1 this long after starting, taking its process
+//                       group — the supergateway that runs it — down too
+//   --pid-file <path>   append this process's pid, one per line
+// =============================================================================
+
+import { appendFileSync, existsSync } from 'fs';
+import { createInterface } from 'readline';
+
+const args = process.argv.slice(2);
+const flag = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+
+if (flag('--pid-file')) appendFileSync(flag('--pid-file'), `${process.pid}\n`);
+if (flag('--exit') !== undefined) process.exit(parseInt(flag('--exit'), 10));
+if (flag('--exit-if') && existsSync(flag('--exit-if'))) process.exit(1);
+if (flag('--crash-after') !== undefined) {
+  setTimeout(() => {
+    process.stderr.write('mock-server: crashing\n');
+    process.kill(0, 'SIGKILL');
+  }, parseInt(flag('--crash-after'), 10));
+}
+
+const TOOLS = Array.from({ length: parseInt(flag('--tools') ?? '2', 10) }, (_, i) => ({
+  name: i === 0 ? 'echo' : `tool_${i}`,
+  description: 'Returns its arguments',
+  inputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+}));
+
+const ready = new Promise(r => setTimeout(r, parseInt(flag('--slow') ?? '0', 10)));
+const send = (msg) => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...msg }) + '\n');
+
+function answer({ id, method, params }) {
+  switch (method) {
+    case 'initialize':
+      return { protocolVersion: params?.protocolVersion ?? '2025-03-26', capabilities: { tools: {} }, serverInfo: { name: 'mock', version: '1.0.0' } };
+    case 'tools/list':
+      return { tools: TOOLS };
+    case 'tools/call':
+      return { content: [{ type: 'text', text: JSON.stringify(params?.arguments ?? {}) }] };
+    case 'ping':
+      return {};
+    default:
+      return undefined;
+  }
+}
+
+createInterface({ input: process.stdin }).on('line', async (line) => {
+  if (!line.trim() || args.includes('--hang')) return;
+  const msg = JSON.parse(line);
+  if (msg.id === undefined) return;
+  await ready;
+  const result = answer(msg);
+  if (result) send({ id: msg.id, result });
+  else send({ id: msg.id, error: { code: -32601, message: `Method not found: ${msg.method}` } });
+});
@@ -0,0 +1,122 @@
+// =============================================================================
+// Test Helpers
+// =============================================================================
+// Hubs for the integration tests run real supergateway children around
+// fixtures/mock-server.js, on loopback ports each test file picks from its
+// own range. Nothing touches the network or the files under gateway/.
+// =============================================================================
+
+import { mkdtempSync, readFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { Hub, parseRegistry } from '../hub.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const GATEWAY_DIR = resolve(__dirname, '..');
+export const MOCK_SERVER = join(__dirname, 'fixtures', 'mock-server.js');
+export const API_KEY = 'test-key-0123456789';
+
+/**
+ * A registry entry running the mock server with the given flags.
+ *
+ * @param {string} name
+ * @param {string[]} [flags]  mock-server.js flags (--slow 500, --hang, …)
+ * @param {object} [fields]   More registry fields
+ */
+export function mock(name, flags = [], fields = {}) {
+  return { name, command: 'node', args: [MOCK_SERVER, ...flags], ...fields };
+}
+
+// A fresh temporary directory
+export function tempDir() {
+  return mkdtempSync(join(tmpdir(), 'mcp-hub-test-'));
+}
+
+/**
+ * A Hub over registry entries, quiet and bound to loopback.
+ *
+ * @param {object[]} entries  Raw registry entries
+ * @param {object} [options]  Hub options, plus raw registry profiles
+ */
+export function createHub(entries, { profiles, ...options } = {}) {
+  return new Hub({
+    ...parseRegistry({ servers: entries, profiles }),
+    host: '127.0.0.1',
+    eventLog: { event() {} },
+    ...options,
+  });
+}
+
+/**
+ * Resolve with the first event matching predicate; reject after timeout ms.
+ *
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {(fields: object) => boolean} [predicate]
+ * @param {number} [timeout]
+ */
+export function nextEvent(emitter, event, predicate = () => true, timeout = 30000) {
+  return new Promise((resolvePromise, rejectPromise) => {
+    const timer = setTimeout(() => {
+      emitter.off(event, listener);
+      rejectPromise(new Error(`no "${event}" event within ${timeout}ms`));
+    }, timeout);
+    function listener(fields) {
+      if (!predicate(fields)) return;
+      clearTimeout(timer);
+      emitter.off(event, listener);
+      resolvePromise(fields);
+    }
+    emitter.on(event, listener);
+  });
+}
+
+// Whether a process exists and is not a zombie awaiting its reaper
+export function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+  try {
+    return readFileSync(`/proc/${pid}/stat`, 'utf-8').split(') ')[1]?.[0] !== 'Z';
+  } catch {
+    return false;
+  }
+}
+
+// Resolve once pid has exited; a SIGKILLed grandchild can take a moment
+export async function waitForExit(pid, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (isRunning(pid) && Date.now() < deadline) await new Promise(r => setTimeout(r, 50));
+  return !isRunning(pid);
+}
+
+// Pids a mock server wrote with --pid-file
+export function readPids(file) {
+  return existsSync(file) ? readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(Number) : [];
+}
+
+/**
+ * POST one JSON-RPC request to the hub and return the parsed reply.
+ *
+ * @param {number} port   Hub port
+ * @param {string} path   /<server>/mcp
+ * @param {object} message
+ */
+export async function rpc(port, path, message) {
+  const res = await fetch(`http://127.0.0.1:${port}${path}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${API_KEY}`,
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', ...message }),
+  });
+  const text = await res.text();
+  const data = text.split('\n').find(line => line.startsWith('data: '));
+  return { status: res.status, body: data ? JSON.parse(data.slice(6)) : text && JSON.parse(text) };
+}
@@ -0,0 +1,137 @@
+// Hub lifecycle: the generated claude-settings.json, restarts, reloads and
+// shutdown leaving no process or port behind
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createAuth, parseRegistry } from '../hub.js';
+import { isPortFree } from '../ports.js';
+import { API_KEY, createHub, isRunning, mock, nextEvent, readPids, rpc, tempDir, waitForExit } from './helpers.js';
+
+const HUB_PORT = 4300;
+const BASE_PORT = 4310;
+
+describe('lifecycle', { timeout: 120000 }, () => {
+  const dir = tempDir();
+  const settingsFile = join(dir, 'claude-settings.json');
+  const pidFile = join(dir, 'pids');
+  let hub;
+
+  before(async () => {
+    // Left world-readable by an older hub
+    writeFileSync(settingsFile, '{}', { mode: 0o644 });
+    hub = createHub([
+      mock('alpha', ['--pid-file', pidFile]),
+      mock('beta', ['--pid-file', pidFile], { expose: 'sse' }),
+      mock('gamma', [], { cwd: '/nonexistent/mcp-hub-test' }),
+      mock('unselected'),
+    ], {
+      port: HUB_PORT,
+      basePort: BASE_PORT,
+      exclude: ['unselected'],
+      publicUrl: 'http://hub.test:3100',
+      auth: createAuth({ apiKey: API_KEY }),
+      settingsFile,
+    });
+    await hub.start();
+  });
+
+  after(async () => {
+    await hub.stop();
+  });
+
+  it('writes claude-settings.json for the servers it serves', () => {
+    const { mcpServers } = JSON.parse(readFileSync(settingsFile, 'utf-8'));
+    assert.deepEqual(Object.keys(mcpServers), ['alpha', 'beta']);
+    assert.deepEqual(mcpServers.alpha, {
+      type: 'http',
+      url: 'http://hub.test:3100/alpha/mcp',
+      headers: { Authorization: `Bearer ${API_KEY}` },
+    });
+    assert.equal(mcpServers.beta.type, 'sse');
+    assert.equal(mcpServers.beta.url, 'http://hub.test:3100/beta/sse');
+    // It holds the bearer token
+    assert.equal(statSync(settingsFile).mode & 0o777, 0o600);
+  });
+
+  it('leaves unselected servers stopped', () => {
+    assert.equal(hub.status().find(s => s.name === 'unselected').state, 'stopped');
+    assert.ok(!hub.routes.has('unselected'));
+  });
+
+  it('requires the bearer token', async () => {
+    const res = await fetch(`http://127.0.0.1:${HUB_PORT}/alpha/mcp`, { method: 'POST', body: '{}' });
+    assert.equal(res.status, 401);
+    assert.equal((await rpc(HUB_PORT, '/alpha/mcp', { id: 1, method: 'tools/list' })).body.result.tools.length, 2);
+  });
+
+  it('restarts one server in a new process', async () => {
+    const { pid } = hub.status().find(s => s.name === 'alpha');
+    const exited = nextEvent(hub, 'exit', e => e.server === 'alpha');
+    const status = await hub.restart('alpha');
+    assert.equal((await exited).pid, pid);
+    assert.equal(status.state, 'ready');
+    assert.notEqual(status.pid, pid);
+    assert.ok(!isRunning(pid));
+  });
+
+  it('converges on a reloaded registry and rewrites the settings', async () => {
+    const { servers } = hub;
+    const summary = await hub.reload({ servers: servers.filter(s => s.name !== 'beta') });
+    assert.deepEqual(summary.stopped, ['beta']);
+    assert.deepEqual(summary.started, []);
+    const { mcpServers } = JSON.parse(readFileSync(settingsFile, 'utf-8'));
+    assert.deepEqual(Object.keys(mcpServers), ['alpha']);
+
+    const back = await hub.reload({ servers });
+    assert.deepEqual(back.started, ['beta']);
+  });
+
+  it('lists the tools of reloaded servers on the aggregated endpoint at once', async () => {
+    const { servers } = hub;
+    const tools = async () => (await rpc(HUB_PORT, '/mcp', { id: 1, method: 'tools/list' })).body.result.tools.map(t => t.name);
+    assert.deepEqual(await tools(), ['alpha__echo', 'alpha__tool_1', 'beta__echo', 'beta__tool_1']);
+
+    // Well within the default cache TTL
+    const [delta] = parseRegistry({ servers: [mock('delta', ['--tools', '1'])] }).servers;
+    assert.deepEqual((await hub.reload({ servers: [...servers, delta] })).started, ['delta']);
+    assert.deepEqual(await tools(), ['alpha__echo', 'alpha__tool_1', 'beta__echo', 'beta__tool_1', 'delta__echo']);
+
+    await hub.reload({ servers });
+    assert.deepEqual(await tools(), ['alpha__echo', 'alpha__tool_1', 'beta__echo', 'beta__tool_1']);
+  });
+
+  it('restarts a server when a variable it passes through changes', async () => {
+    const { servers } = hub;
+    const [delta] = parseRegistry({ servers: [mock('delta', [], { passEnv: ['MCP_HUB_TEST_VAR'] })] }).servers;
+    process.env.MCP_HUB_TEST_VAR = 'one';
+    try {
+      assert.deepEqual((await hub.reload({ servers: [...servers, delta] })).started, ['delta']);
+      assert.deepEqual((await hub.reload({ servers: [...servers, delta] })).restarted, []);
+      // As a SIGHUP does after re-reading .env
+      process.env.MCP_HUB_TEST_VAR = 'two';
+      assert.deepEqual((await hub.reload({ servers: [...servers, delta] })).restarted, ['delta']);
+    } finally {
+      delete process.env.MCP_HUB_TEST_VAR;
+    }
+    await hub.reload({ servers });
+  });
+
+  it('stops every process and frees every port on shutdown', async () => {
+    const pids = hub.status().map(s => s.pid).filter(Boolean);
+    assert.equal(pids.length, 2);
+    const children = readPids(pidFile);
+    assert.ok(children.length > 0);
+
+    assert.deepEqual((await hub.stop()).sort(), ['alpha', 'beta']);
+    // The supergateways themselves are gone by the time stop() resolves
+    for (const pid of pids) assert.ok(!isRunning(pid), `pid ${pid} still running`);
+    for (const pid of children) assert.ok(await waitForExit(pid), `mock server ${pid} still running`);
+    for (const port of [HUB_PORT, hub.ports.get('alpha'), hub.ports.get('beta')]) {
+      assert.ok(await isPortFree(port), `port ${port} still in use`);
+    }
+    // stop() is idempotent
+    assert.deepEqual((await hub.stop()).sort(), ['alpha', 'beta']);
+  });
+});
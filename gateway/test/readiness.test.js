@@ -0,0 +1,76 @@
+// Readiness: what the hub makes of servers that start fast, slowly, never
+// answer, exit at once or can't be launched at all
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { createHub, mock, rpc } from './helpers.js';
+
+const HUB_PORT = 4100;
+const BASE_PORT = 4110;
+
+describe('readiness', { timeout: 90000 }, () => {
+  let hub;
+  let blocker;
+  let summary;
+
+  before(async () => {
+    // Something else already listening on busy's internal port
+    blocker = net.createServer();
+    await new Promise(r => blocker.listen(BASE_PORT + 5, '127.0.0.1', r));
+
+    hub = createHub([
+      mock('fast', ['--tools', '3'], { port: BASE_PORT }),
+      mock('slow', ['--slow', '2000'], { port: BASE_PORT + 1 }),
+      mock('hang', ['--hang'], { port: BASE_PORT + 2, readyTimeout: 15 }),
+      mock('exits', ['--exit', '3'], { port: BASE_PORT + 3 }),
+      mock('nowhere', [], { port: BASE_PORT + 4, cwd: '/nonexistent/mcp-hub-test' }),
+      mock('busy', [], { port: BASE_PORT + 5 }),
+    ], { port: HUB_PORT, basePort: BASE_PORT, readyTimeout: 45 });
+    summary = await hub.start();
+  });
+
+  after(async () => {
+    await hub?.stop();
+    blocker?.close();
+  });
+
+  const state = (name) => hub.status().find(s => s.name === name);
+
+  it('marks a server ready once the MCP handshake succeeds, with its tool count', async () => {
+    assert.equal(state('fast').state, 'ready');
+    assert.equal(state('fast').tools, 3);
+    const { body } = await rpc(HUB_PORT, '/fast/mcp', { id: 1, method: 'tools/call', params: { name: 'echo', arguments: { text: 'hi' } } });
+    assert.deepEqual(JSON.parse(body.result.content[0].text), { text: 'hi' });
+  });
+
+  it('waits for a server that is slow to answer', () => {
+    assert.equal(state('slow').state, 'ready');
+    assert.equal(state('slow').tools, 2);
+  });
+
+  it('keeps a server that never answers as degraded once its ready timeout passes', () => {
+    assert.equal(state('hang').state, 'degraded');
+    assert.match(state('hang').error, /MCP handshake failed/);
+    assert.ok(hub.routes.has('hang'));
+  });
+
+  // Health checks recycle it later (see supervision.test.js)
+  it('launches a server that exits non-zero as degraded: supergateway stays up', () => {
+    assert.equal(state('exits').state, 'degraded');
+    assert.match(state('exits').error, /MCP handshake failed/);
+  });
+
+  it('fails servers that cannot be launched, without spawning them', () => {
+    assert.equal(state('nowhere').state, 'failed');
+    assert.match(state('nowhere').error, /cwd \/nonexistent\/mcp-hub-test does not exist/);
+    assert.equal(state('busy').state, 'failed');
+    assert.equal(state('busy').error, `port ${BASE_PORT + 5} is already in use`);
+    assert.ok(!hub.instances.has('busy'));
+  });
+
+  it('summarizes the launch', () => {
+    assert.deepEqual(summary.started.sort(), ['exits', 'fast', 'hang', 'slow']);
+    assert.deepEqual(summary.failed.map(f => f.name).sort(), ['busy', 'nowhere']);
+  });
+});
@@ -0,0 +1,35 @@
+// Registry validation: entries the hub refuses to load, with the reason.
+// Nothing here spawns a server.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRegistry } from '../hub.js';
+import { mock } from './helpers.js';
+
+// Parse one entry; returns the problems reported for it
+function problems(fields) {
+  try {
+    parseRegistry({ servers: [mock('svc', [], fields)] });
+    return [];
+  } catch (err) {
+    return err.message.split('\n').slice(1).map(line => line.replace(/^\s*- /, ''));
+  }
+}
+
+describe('registry validation', () => {
+  it('accepts a whole-request burst', () => {
+    assert.deepEqual(problems({ rateLimit: { perMinute: 0.5, burst: 1, maxInFlight: 2 } }), []);
+  });
+
+  it('rejects a burst that can never hold a whole request', () => {
+    for (const burst of [0.5, 2.5, 0, -1]) {
+      assert.deepEqual(problems({ rateLimit: { perMinute: 30, burst } }),
+        ['entry #1 ("svc"): rateLimit.burst must be a positive integer'], `burst ${burst}`);
+    }
+  });
+
+  it('rejects server names containing the namespace separator', () => {
+    assert.throws(() => parseRegistry({ servers: [mock('a__b')] }), /entry #1 \("a__b"\): name must not contain "__"/);
+    assert.deepEqual(parseRegistry({ servers: [mock('a_b.c-d')] }).servers.map(s => s.name), ['a_b.c-d']);
+  });
+});
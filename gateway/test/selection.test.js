@@ -0,0 +1,150 @@
+// Server selection (--only/--exclude, tags, tiers, profiles) and stable
+// internal port assignment. Nothing here spawns a server.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { promisify } from 'util';
+import { assignPorts } from '../ports.js';
+import { API_KEY, GATEWAY_DIR, createHub, mock, tempDir } from './helpers.js';
+
+const run = promisify(execFile);
+
+const ENTRIES = [
+  mock('github', [], { tags: ['core-dev'], tier: 1 }),
+  mock('git', [], { tags: ['core-dev'], tier: 1 }),
+  mock('postgres', [], { tags: ['databases'], tier: 2 }),
+  mock('pinecone', [], { tags: ['databases', 'paid-api'], tier: 2 }),
+  mock('blender', [], { tags: ['creative', 'needs-gui'], tier: 3 }),
+  mock('retired', [], { tags: ['core-dev'], enabled: false }),
+];
+const PROFILES = { headless: { description: 'No GUI', exclude: ['tag:needs-gui', 'tag:paid-api'] } };
+
+const names = (servers) => servers.map(s => s.name);
+
+describe('selection', () => {
+  const selected = (options) => names(createHub(ENTRIES, options).selected());
+
+  it('selects every enabled server by default', () => {
+    assert.deepEqual(selected({}), ['github', 'git', 'postgres', 'pinecone', 'blender']);
+  });
+
+  it('narrows with --only names, tags and tiers', () => {
+    assert.deepEqual(selected({ only: ['git', 'blender'] }), ['git', 'blender']);
+    assert.deepEqual(selected({ only: ['tag:databases'] }), ['postgres', 'pinecone']);
+    assert.deepEqual(selected({ only: ['tier:1', 'tag:creative'] }), ['github', 'git', 'blender']);
+  });
+
+  it('applies --exclude after --only', () => {
+    assert.deepEqual(selected({ only: ['tag:databases'], exclude: ['tag:paid-api'] }), ['postgres']);
+    assert.deepEqual(selected({ exclude: ['tier:2', 'blender'] }), ['github', 'git']);
+  });
+
+  it('never selects disabled servers, even by name', () => {
+    assert.deepEqual(selected({ only: ['retired', 'git'] }), ['git']);
+  });
+
+  it('applies a profile before --only/--exclude', () => {
+    assert.deepEqual(selected({ profiles: PROFILES, profile: 'headless' }), ['github', 'git', 'postgres']);
+    assert.deepEqual(selected({ profiles: PROFILES, profile: 'headless', exclude: ['git'] }), ['github', 'postgres']);
+    assert.throws(() => createHub(ENTRIES, { profile: 'headless' }), /unknown profile "headless"/);
+  });
+
+  it('rejects selectors that match no server', () => {
+    assert.throws(() => createHub(ENTRIES, { only: ['tag:nope'] }), /only: "tag:nope" matches no server/);
+    assert.throws(() => createHub(ENTRIES, { exclude: ['ghost'] }), /exclude: "ghost" matches no server/);
+  });
+});
+
+describe('port assignment', () => {
+  const servers = (...list) => list.map(name => (typeof name === 'string' ? { name } : name));
+
+  it('assigns from the base port up, skipping reserved ports', () => {
+    const ports = assignPorts(servers('a', 'b', 'c'), { base: 5000, file: null, reserved: [5001] });
+    assert.deepEqual(Object.fromEntries(ports), { a: 5000, b: 5002, c: 5003 });
+  });
+
+  it('lets fixed ports win and rejects collisions', () => {
+    const ports = assignPorts(servers('a', { name: 'b', port: 5000 }), { base: 5000, file: null });
+    assert.deepEqual(Object.fromEntries(ports), { a: 5001, b: 5000 });
+    assert.throws(() => assignPorts(servers({ name: 'a', port: 5000 }), { base: 5000, file: null, reserved: [5000] }),
+      /Port 5000 of "a" collides/);
+  });
+
+  it('keeps every server on its port across filters and registry edits', () => {
+    const file = join(tempDir(), 'ports.json');
+    const first = assignPorts(servers('a', 'b', 'c'), { base: 5000, file });
+    assert.deepEqual(JSON.parse(readFileSync(file, 'utf-8')), { a: 5000, b: 5001, c: 5002 });
+
+    // b leaves the registry and d arrives: d must not inherit b's port
+    const second = assignPorts(servers('a', 'c', 'd'), { base: 5000, file });
+    assert.equal(second.get('a'), first.get('a'));
+    assert.equal(second.get('c'), first.get('c'));
+    assert.equal(second.get('d'), 5003);
+
+    // b comes back to its old port
+    assert.equal(assignPorts(servers('b', 'a'), { base: 5000, file }).get('b'), 5001);
+  });
+
+  it('assigns over the whole registry, whatever the hub selects', () => {
+    const file = join(tempDir(), 'ports.json');
+    const all = createHub(ENTRIES, { portsFile: file, basePort: 5100, port: 5100 }).ports;
+    const some = createHub(ENTRIES, { portsFile: file, basePort: 5100, port: 5100, only: ['blender'] }).ports;
+    assert.deepEqual([...some], [...all]);
+    assert.equal(all.get('github'), 5101);
+    // Only a hub that starts records them
+    assert.ok(!existsSync(file));
+  });
+
+  it('reads but never writes the ports file when asked not to save', () => {
+    const file = join(tempDir(), 'ports.json');
+    writeFileSync(file, JSON.stringify({ b: 5007 }));
+    const ports = assignPorts(servers('a', 'b'), { base: 5000, file, save: false });
+    assert.deepEqual(Object.fromEntries(ports), { a: 5000, b: 5007 });
+    assert.deepEqual(JSON.parse(readFileSync(file, 'utf-8')), { b: 5007 });
+  });
+});
+
+describe('command line selection', { timeout: 30000 }, () => {
+  const dir = tempDir();
+  const registry = join(dir, 'servers.json');
+  writeFileSync(registry, JSON.stringify({ servers: ENTRIES, profiles: PROFILES }));
+  const env = {
+    ...process.env,
+    MCP_REGISTRY: registry,
+    MCP_PORTS_FILE: join(dir, 'ports.json'),
+    MCP_LOCKFILE: join(dir, 'servers.lock.json'),
+    MCP_TOKENS_FILE: join(dir, 'tokens.json'),
+    MCP_API_KEY: API_KEY,
+    MCP_PUBLIC_HOST: 'hub.test',
+    MCP_PORT: '3100',
+    MCP_PROFILE: '',
+  };
+  const cli = (...args) => run(process.execPath, ['index.js', ...args], { cwd: GATEWAY_DIR, env });
+
+  it('generates a config for --only/--exclude/--profile', async () => {
+    const { stdout } = await cli('--generate', '--only', 'tag:core-dev,tag:databases', '--exclude', 'github');
+    const { mcpServers } = JSON.parse(stdout);
+    assert.deepEqual(Object.keys(mcpServers), ['git', 'postgres', 'pinecone']);
+    assert.equal(mcpServers.git.url, 'http://hub.test:3100/git/mcp');
+
+    const { stdout: headless } = await cli('--generate', '--profile', 'headless');
+    assert.deepEqual(Object.keys(JSON.parse(headless).mcpServers), ['github', 'git', 'postgres']);
+  });
+
+  it('leaves the ports file alone in read-only modes', async () => {
+    await cli('--generate');
+    await cli('--list');
+    assert.ok(!existsSync(env.MCP_PORTS_FILE));
+  });
+
+  it('exits 1 for a selector that matches nothing', async () => {
+    await assert.rejects(cli('--generate', '--only', 'tag:nope'), (err) => {
+      assert.equal(err.code, 1);
+      assert.match(err.stderr, /"tag:nope" matches no server/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// Supervision: respawn backoff, giving up after maxRespawns, reset, the
+// stable-uptime window that forgives old crashes, and health checks that
+// catch a server exiting under a supergateway that stays up or recovering
+// from a degraded start
+
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createHub, mock, nextEvent, rpc, tempDir } from './helpers.js';
+
+const HUB_PORT = 4200;
+const BASE_PORT = 4210;
+
+// Long enough for the readiness handshake to finish before the crash
+const CRASH_AFTER = '3000';
+
+// Collect a hub event's fields until stopped
+function record(hub, event) {
+  const seen = [];
+  hub.on(event, fields => seen.push(fields));
+  return seen;
+}
+
+describe('supervision', { timeout: 120000 }, () => {
+  let hub;
+
+  afterEach(async () => {
+    await hub?.stop();
+  });
+
+  it('respawns a crashed server with doubling delays, then gives up', async () => {
+    hub = createHub([mock('crashy', ['--crash-after', CRASH_AFTER])],
+      { port: HUB_PORT, basePort: BASE_PORT, maxRespawns: 2, stableUptime: 600 });
+    const respawns = record(hub, 'respawn');
+    const dead = nextEvent(hub, 'dead', () => true, 60000);
+    const { started } = await hub.start();
+    assert.deepEqual(started, ['crashy']);
+
+    const { attempts } = await dead;
+    assert.equal(attempts, 2);
+    assert.deepEqual(respawns.map(r => [r.attempt, r.delay]), [[1, 2000], [2, 4000]]);
+    assert.ok(respawns.every(r => r.signal === 'SIGKILL'));
+
+    const status = hub.status().find(s => s.name === 'crashy');
+    assert.equal(status.state, 'dead');
+    assert.equal(status.restarts, 2);
+    // The circuit breaker takes the route down
+    assert.ok(!hub.routes.has('crashy'));
+    assert.equal((await rpc(HUB_PORT, '/crashy/mcp', { id: 1, method: 'tools/list' })).status, 404);
+
+    // reset() closes the breaker and launches again
+    assert.equal((await hub.reset('crashy')).state, 'ready');
+    assert.ok(hub.routes.has('crashy'));
+  });
+
+  it('restarts the backoff for a server that stayed up for the stable uptime', async () => {
+    hub = createHub([mock('flaky', ['--crash-after', CRASH_AFTER])],
+      { port: HUB_PORT, basePort: BASE_PORT, maxRespawns: 1, stableUptime: 1 });
+    const respawns = record(hub, 'respawn');
+    const dead = record(hub, 'dead');
+    const second = nextEvent(hub, 'respawn', r => r.attempt === 1 && respawns.length === 2, 60000);
+    await hub.start();
+    await second;
+
+    assert.deepEqual(respawns.map(r => [r.attempt, r.delay]), [[1, 2000], [1, 2000]]);
+    assert.equal(dead.length, 0);
+  });
+
+  it('recycles a server that exits once ready, then gives up', async () => {
+    const broken = join(tempDir(), 'broken');
+    hub = createHub([mock('quitter', ['--exit-if', broken])],
+      { port: HUB_PORT, basePort: BASE_PORT, maxRespawns: 2, stableUptime: 600, healthInterval: 1 });
+    const unhealthy = record(hub, 'unhealthy');
+    const respawns = record(hub, 'respawn');
+    assert.deepEqual((await hub.start()).started, ['quitter']);
+
+    // From now on the stdio server exits at once; supergateway stays up
+    writeFileSync(broken, '');
+    const { attempts } = await nextEvent(hub, 'dead', () => true, 60000);
+    assert.equal(attempts, 2);
+    assert.match(unhealthy[0].error, /health check failed 2 times in a row/);
+    assert.equal(unhealthy.length, 3);
+    assert.ok(respawns.every(r => r.reason === 'unhealthy'));
+    assert.deepEqual(respawns.map(r => r.attempt), [1, 2]);
+    assert.ok(!hub.routes.has('quitter'));
+
+    rmSync(broken);
+    assert.equal((await hub.reset('quitter')).state, 'ready');
+  });
+
+  it('promotes a degraded server once its health check passes', async () => {
+    const broken = join(tempDir(), 'broken');
+    writeFileSync(broken, '');
+    hub = createHub([mock('late', ['--exit-if', broken])],
+      { port: HUB_PORT, basePort: BASE_PORT, healthInterval: 1 });
+    const unhealthy = record(hub, 'unhealthy');
+    await hub.start();
+    assert.equal(hub.status().find(s => s.name === 'late').state, 'degraded');
+
+    const ready = nextEvent(hub, 'ready', r => r.state === 'ready', 10000);
+    rmSync(broken);
+    assert.equal((await ready).tools, 2);
+    const status = hub.status().find(s => s.name === 'late');
+    assert.equal(status.state, 'ready');
+    assert.equal(status.restarts, 0);
+    assert.equal(unhealthy.length, 0);
+    assert.equal((await rpc(HUB_PORT, '/mcp', { id: 1, method: 'tools/list' })).body.result.tools.length, 2);
+  });
+
+  it('recycles a degraded server that keeps failing its health checks', async () => {
+    const broken = join(tempDir(), 'broken');
+    writeFileSync(broken, '');
+    hub = createHub([mock('stuck', ['--exit-if', broken])],
+      { port: HUB_PORT, basePort: BASE_PORT, healthInterval: 1 });
+    const unhealthy = nextEvent(hub, 'unhealthy', () => true, 30000);
+    await hub.start();
+    assert.equal(hub.status().find(s => s.name === 'stuck').state, 'degraded');
+    assert.match((await unhealthy).error, /health check failed 2 times in a row/);
+  });
+});
@@ -0,0 +1,77 @@
+// =============================================================================
+// TLS
+// =============================================================================
+// The hub can terminate TLS itself, so bearer tokens and tool traffic don't
+// cross the network in plaintext:
+//
+//   MCP_TLS_CERT / MCP_TLS_KEY   PEM certificate chain and key
+//   MCP_TLS_SELF_SIGNED=1        no cert configured: generate tls/hub.crt and
+//                                tls/hub.key with the openssl CLI on first
+//                                run, valid for MCP_PUBLIC_HOST and localhost
+//   MCP_TLS_CLIENT_CA            require client certificates signed by this CA
+//
+// Paths are relative to gateway/. The files are read again on SIGHUP, so a
+// renewed certificate takes effect without dropping connections.
+// =============================================================================
+
+import { execFileSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { isIP } from 'net';
+import { join, resolve } from 'path';
+
+// Generate a self-signed certificate for hosts unless one already exists
+function ensureSelfSigned(dir, hosts) {
+  const cert = join(dir, 'hub.crt');
+  const key = join(dir, 'hub.key');
+  if (existsSync(cert) && existsSync(key)) return { cert, key, generated: false };
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const san = [...new Set(hosts)].map(h => (isIP(h) ? `IP:${h}` : `DNS:${h}`)).join(',');
+  try {
+    execFileSync('openssl', [
+      'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+      '-keyout', key, '-out', cert, '-days', '825',
+      '-subj', '/CN=mcp-supergateway-hub', '-addext', `subjectAltName=${san}`,
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+  } catch (err) {
+    const detail = err.code === 'ENOENT' ? 'openssl not found on PATH' : String(err.stderr || err.message).trim();
+    throw new Error(`Could not generate a self-signed certificate: ${detail}`);
+  }
+  return { cert, key, generated: true };
+}
+
+/**
+ * Work out the hub's TLS setup from the environment. Returns null when TLS
+ * is not configured.
+ *
+ * @param {object} opts
+ * @param {string} opts.baseDir  Directory relative paths resolve against
+ * @param {string[]} opts.hosts  Names for a generated certificate
+ * @param {object} [env]
+ * @returns {{cert: string, key: string, ca: string|null, generated: boolean}|null}
+ * @throws {Error} when only one of cert/key is set, or generation fails
+ */
+export function resolveTls({ baseDir, hosts }, env = process.env) {
+  const { MCP_TLS_CERT: cert, MCP_TLS_KEY: key, MCP_TLS_CLIENT_CA: ca } = env;
+  if (Boolean(cert) !== Boolean(key)) {
+    throw new Error('Set both MCP_TLS_CERT and MCP_TLS_KEY, or neither');
+  }
+  const clientCa = ca ? resolve(baseDir, ca) : null;
+  if (cert) return { cert: resolve(baseDir, cert), key: resolve(baseDir, key), ca: clientCa, generated: false };
+  if (env.MCP_TLS_SELF_SIGNED === '1') {
+    return { ...ensureSelfSigned(join(baseDir, 'tls'), [...hosts, 'localhost', '127.0.0.1']), ca: clientCa };
+  }
+  return null;
+}
+
+/**
+ * Read the files into https.createServer / setSecureContext options.
+ *
+ * @param {{cert: string, key: string, ca: string|null}} tls  From resolveTls()
+ */
+export function loadTlsOptions(tls) {
+  const options = { cert: readFileSync(tls.cert), key: readFileSync(tls.key) };
+  if (tls.ca) {
+    Object.assign(options, { ca: readFileSync(tls.ca), requestCert: true, rejectUnauthorized: true });
+  }
+  return options;
+}